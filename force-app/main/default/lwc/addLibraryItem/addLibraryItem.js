@@ -1,7 +1,42 @@
 import { LightningElement, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import createLibraryItem from '@salesforce/apex/LibraryItemService.createLibraryItem';
+import createItemsWithPartialSuccess from '@salesforce/apex/LibraryItemService.createItemsWithPartialSuccess';
 import getCategoriesForItemType from '@salesforce/apex/LibraryItemService.getCategoriesForItemType';
+import getAvailableItemTypes from '@salesforce/apex/LibraryConfigService.getAvailableItemTypes';
+import isLibrarian from '@salesforce/apex/LibraryPermissionHelper.isLibrarian';
+import lookupIsbn from '@salesforce/apex/IsbnLookupService.lookupIsbn';
+import {
+    IMPORT_CHUNK_SIZE,
+    MAX_IMPORT_ROWS,
+    CONDITIONS,
+    IMPORT_FIELDS,
+    guessMapping,
+    buildRequest,
+    validateRequest,
+    chunk
+} from './csvImport';
+import { parseCsv, toCsv, downloadFile } from 'c/csvUtils';
+import { normalizeIsbn } from './isbn';
+import {
+    LABEL_FORMATS,
+    SYMBOLOGIES,
+    DEFAULT_LABEL_OPTIONS,
+    MAX_LABEL_COPIES,
+    labelsPerSheet,
+    printLabelSheet
+} from 'c/barcodeLabels';
+
+const PREVIEW_LIMIT = 100;
+const FIELD_MAX_LENGTH = 255;
+const DEFAULT_ITEM_TYPES = ['Book', 'DVD', 'Equipment', 'Magazine', 'Software'];
+
+const ROW_STATUS_CLASSES = {
+    Ready: 'slds-badge',
+    Invalid: 'slds-badge slds-theme_error',
+    Created: 'slds-badge slds-theme_success',
+    Failed: 'slds-badge slds-theme_warning'
+};
 
 export default class AddLibraryItem extends LightningElement {
     @track itemName = '';
@@ -20,6 +55,40 @@ export default class AddLibraryItem extends LightningElement {
     @track errorMessage = '';
     @track createdItemBarcode = '';
     @track showCard = false;
+    @track hasAccess = false;
+    @track itemTypes = DEFAULT_ITEM_TYPES;
+
+    // ISBN autofill state
+    @track coverImageUrl = '';
+    @track isLookingUp = false;
+    autofilledFields = new Set();
+
+    // Label printing for the item just created
+    @track createdItemLabel = null;
+    @track showLabelModal = false;
+    @track labelOptions = { ...DEFAULT_LABEL_OPTIONS };
+
+    // CSV import state
+    @track isImportMode = false;
+    @track importFileName = '';
+    @track importHeaders = [];
+    @track columnMapping = [];
+    @track importRows = [];
+    @track showErrorsOnly = false;
+    @track isImporting = false;
+    @track importProgress = 0;
+    @track importComplete = false;
+    importCells = [];
+
+    @wire(getAvailableItemTypes)
+    wiredItemTypes({ data }) {
+        if (data && data.length) {
+            this.itemTypes = [...data].sort();
+            if (this.importCells.length) {
+                this.validateImportRows();
+            }
+        }
+    }
 
     // Check permissions when component loads
     connectedCallback() {
@@ -47,6 +116,14 @@ export default class AddLibraryItem extends LightningElement {
     }
 
 
+    get itemTypeOptions() {
+        return this.itemTypes.map(type => ({ label: type, value: type }));
+    }
+
+    get conditionOptions() {
+        return CONDITIONS.map(condition => ({ label: condition, value: condition }));
+    }
+
     // Computed property for category options
     get categoryOptions() {
         const options = [{ label: 'Select Category...', value: '' }];
@@ -63,6 +140,11 @@ export default class AddLibraryItem extends LightningElement {
             });
         }
 
+        // Keep a category filled in by ISBN autofill selectable even if no item uses it yet
+        if (this.category && !options.some(option => option.value === this.category)) {
+            options.push({ label: this.category, value: this.category });
+        }
+
         return options;
     }
 
@@ -82,6 +164,12 @@ export default class AddLibraryItem extends LightningElement {
         const field = event.target.dataset.field;
         this[field] = event.target.value;
 
+        // Typed values are never overwritten by a later ISBN autofill
+        this.autofilledFields.delete(field);
+        if (field === 'isbnSerial') {
+            event.target.setCustomValidity('');
+        }
+
         // Clear messages when user starts typing
         if (this.showSuccess || this.showError) {
             this.clearMessages();
@@ -123,13 +211,19 @@ export default class AddLibraryItem extends LightningElement {
             location: this.location,
             condition: this.condition,
             notes: this.notes,
-            purchaseDate: this.purchaseDate || null
+            purchaseDate: this.purchaseDate || null,
+            coverImageUrl: this.coverImageUrl || null
         };
 
         try {
             const result = await createLibraryItem({ request: request });
             
             this.createdItemBarcode = result.Barcode__c;
+            this.createdItemLabel = {
+                itemName: result.Item_Name__c,
+                barcode: result.Barcode__c,
+                location: result.Location__c
+            };
             this.showSuccessMessage();
             this.showToast('Success', 
                 `Library item "${result.Item_Name__c}" created successfully!`, 
@@ -179,7 +273,143 @@ export default class AddLibraryItem extends LightningElement {
         this.condition = 'Good';
         this.notes = '';
         this.purchaseDate = '';
+        this.coverImageUrl = '';
         this.availableCategories = [];
+        this.autofilledFields.clear();
+    }
+
+    // LABEL PRINTING
+
+    get hasCreatedItemLabel() {
+        return !!(this.createdItemLabel && this.createdItemLabel.barcode);
+    }
+
+    get labelFormatOptions() {
+        return LABEL_FORMATS.map(format => ({ label: format.label, value: format.value }));
+    }
+
+    get symbologyOptions() {
+        return SYMBOLOGIES;
+    }
+
+    get maxStartPosition() {
+        return labelsPerSheet(this.labelOptions.format);
+    }
+
+    get maxLabelCopies() {
+        return MAX_LABEL_COPIES;
+    }
+
+    openLabelModal() {
+        this.showLabelModal = true;
+    }
+
+    closeLabelModal() {
+        this.showLabelModal = false;
+    }
+
+    handleLabelOptionChange(event) {
+        const option = event.target.dataset.option;
+        this.labelOptions = { ...this.labelOptions, [option]: event.detail.value };
+        if (option === 'format' && this.labelOptions.startPosition > this.maxStartPosition) {
+            this.labelOptions = { ...this.labelOptions, startPosition: 1 };
+        }
+    }
+
+    handlePrintLabel() {
+        const inputs = [...this.template.querySelectorAll('.label-options lightning-input')];
+        if (!inputs.every(input => input.reportValidity())) {
+            return;
+        }
+
+        try {
+            if (!printLabelSheet([this.createdItemLabel], this.labelOptions)) {
+                this.showToast('Pop-up Blocked', 'The label sheet was downloaded instead. Open it in your browser to print.', 'info');
+            }
+            this.showLabelModal = false;
+        } catch (error) {
+            this.showToast('Error', 'Unable to print label: ' + error.message, 'error');
+        }
+    }
+
+    // ISBN AUTOFILL
+
+    get disableIsbnLookup() {
+        return this.isLookingUp || this.isLoading || !this.isbnSerial;
+    }
+
+    get hasCoverImage() {
+        return !!this.coverImageUrl;
+    }
+
+    // Barcode scanners finish with Enter, so a scanned ISBN looks itself up
+    handleIsbnKeyUp(event) {
+        if (event.key === 'Enter') {
+            this.handleIsbnLookup();
+        }
+    }
+
+    async handleIsbnLookup() {
+        const isbnInput = this.template.querySelector('lightning-input[data-field="isbnSerial"]');
+        if (!normalizeIsbn(this.isbnSerial)) {
+            isbnInput.setCustomValidity('Enter a valid ISBN-10 or ISBN-13 - the check digit does not match');
+            isbnInput.reportValidity();
+            return;
+        }
+        isbnInput.setCustomValidity('');
+        isbnInput.reportValidity();
+
+        this.isLookingUp = true;
+        this.clearMessages();
+
+        try {
+            const result = await lookupIsbn({ isbn: this.isbnSerial });
+            if (result.isSuccess) {
+                const filled = this.applyIsbnMetadata(result.metadata);
+                this.showToast('ISBN Found',
+                    filled.length ? `${result.message}. Filled in: ${filled.join(', ')}` : result.message,
+                    'success');
+            } else {
+                this.showToast('ISBN Lookup', result.message, 'warning');
+            }
+        } catch (error) {
+            this.showToast('Error', 'ISBN lookup failed: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.isLookingUp = false;
+        }
+    }
+
+    // Fill blank fields (and earlier autofills) from the lookup; returns the labels of fields filled
+    applyIsbnMetadata(metadata) {
+        const title = metadata.subtitle ? `${metadata.title}: ${metadata.subtitle}` : metadata.title;
+        const values = [
+            { field: 'itemName', label: 'Item Name', value: title && title.slice(0, FIELD_MAX_LENGTH) },
+            { field: 'authorManufacturer', label: 'Author', value: metadata.authors && metadata.authors.slice(0, FIELD_MAX_LENGTH) },
+            { field: 'category', label: 'Category', value: metadata.category },
+            { field: 'coverImageUrl', label: 'Cover', value: metadata.coverImageUrl }
+        ];
+
+        const filled = [];
+        values.forEach(({ field, label, value }) => {
+            if (value && (!this[field] || this.autofilledFields.has(field))) {
+                this[field] = value;
+                this.autofilledFields.add(field);
+                filled.push(label);
+            }
+        });
+
+        if (!this.itemType && this.itemTypes.includes('Book')) {
+            this.itemType = 'Book';
+            filled.push('Item Type');
+            this.loadCategories();
+        }
+
+        return filled;
+    }
+
+    handleRemoveCover() {
+        this.coverImageUrl = '';
+        this.autofilledFields.delete('coverImageUrl');
     }
 
     showSuccessMessage() {
@@ -199,6 +429,236 @@ export default class AddLibraryItem extends LightningElement {
         this.errorMessage = '';
     }
 
+    // CSV IMPORT
+
+    toggleImportMode() {
+        this.isImportMode = !this.isImportMode;
+        this.clearMessages();
+    }
+
+    handleCsvUpload(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => this.loadCsv(file.name, reader.result);
+        reader.onerror = () => this.showToast('Error', 'Could not read ' + file.name, 'error');
+        reader.readAsText(file);
+    }
+
+    loadCsv(fileName, text) {
+        const rows = parseCsv(text || '');
+        if (rows.length < 2) {
+            this.showToast('Import Error', 'The file needs a header row and at least one item row', 'error');
+            return;
+        }
+        if (rows.length - 1 > MAX_IMPORT_ROWS) {
+            this.showToast('Import Error', `Files are limited to ${MAX_IMPORT_ROWS} rows`, 'error');
+            return;
+        }
+
+        this.importFileName = fileName;
+        this.importHeaders = rows[0].map(header => header.trim());
+        this.importCells = rows.slice(1);
+        this.columnMapping = guessMapping(this.importHeaders);
+        this.importComplete = false;
+        this.importProgress = 0;
+        this.validateImportRows();
+    }
+
+    handleMappingChange(event) {
+        const columnIndex = Number(event.target.dataset.index);
+        const field = event.detail.value;
+
+        // A field can only come from one column
+        this.columnMapping = this.columnMapping.map((current, index) => {
+            if (index === columnIndex) {
+                return field;
+            }
+            return field && current === field ? '' : current;
+        });
+        this.validateImportRows();
+    }
+
+    validateImportRows() {
+        const seenBarcodes = new Set();
+        this.importRows = this.importCells.map((cells, index) => {
+            const request = buildRequest(cells, this.columnMapping);
+            const errors = validateRequest(request, this.itemTypes, seenBarcodes);
+            return this.decorateImportRow({
+                key: String(index),
+                rowNumber: index + 2, // Header is row 1 in the file
+                request: request,
+                errors: errors,
+                status: errors.length ? 'Invalid' : 'Ready',
+                barcode: request.barcode || '',
+                message: errors.join('; ')
+            });
+        });
+    }
+
+    decorateImportRow(row) {
+        return {
+            ...row,
+            statusClass: ROW_STATUS_CLASSES[row.status]
+        };
+    }
+
+    handleToggleErrorsOnly(event) {
+        this.showErrorsOnly = event.target.checked;
+    }
+
+    async handleImportSubmit() {
+        const readyRows = this.importRows.filter(row => row.status === 'Ready');
+        if (!readyRows.length) {
+            this.showToast('Nothing to Import', 'Fix the row errors before importing', 'warning');
+            return;
+        }
+
+        this.isImporting = true;
+        this.importProgress = 0;
+
+        try {
+            await this.submitImportChunk(chunk(readyRows, IMPORT_CHUNK_SIZE), 0, readyRows.length);
+            this.importComplete = true;
+
+            const created = this.importRows.filter(row => row.status === 'Created').length;
+            const failed = this.importRows.filter(row => row.status === 'Failed').length;
+            this.showToast(
+                failed ? 'Import Finished with Errors' : 'Import Complete',
+                `${created} item(s) created, ${failed} failed`,
+                failed ? 'warning' : 'success'
+            );
+        } catch (error) {
+            this.showToast('Import Error', error.body?.message || 'Import stopped unexpectedly', 'error');
+        } finally {
+            this.isImporting = false;
+        }
+    }
+
+    // Submit chunks one after another so each stays within Apex limits
+    async submitImportChunk(chunks, index, total) {
+        if (index >= chunks.length) {
+            return;
+        }
+
+        const rows = chunks[index];
+        const result = await createItemsWithPartialSuccess({
+            requests: rows.map(row => row.request)
+        });
+
+        const updates = new Map();
+        (result.rowResults || []).forEach(rowResult => {
+            const row = rows[rowResult.rowIndex];
+            updates.set(row.key, {
+                status: rowResult.isSuccess ? 'Created' : 'Failed',
+                barcode: rowResult.barcode || row.barcode,
+                message: rowResult.isSuccess ? '' : rowResult.message
+            });
+        });
+        this.importRows = this.importRows.map(row => {
+            return updates.has(row.key) ? this.decorateImportRow({ ...row, ...updates.get(row.key) }) : row;
+        });
+
+        const processed = Math.min((index + 1) * IMPORT_CHUNK_SIZE, total);
+        this.importProgress = Math.round((processed / total) * 100);
+
+        await this.submitImportChunk(chunks, index + 1, total);
+    }
+
+    handleDownloadReport() {
+        const csv = toCsv(
+            ['Row', 'Item Name', 'Item Type', 'Status', 'Barcode', 'Message'],
+            this.importRows.map(row => [
+                row.rowNumber,
+                row.request.itemName,
+                row.request.itemType,
+                row.status,
+                row.barcode,
+                row.message
+            ])
+        );
+
+        downloadFile(this.importFileName.replace(/\.csv$/i, '') + '-import-report.csv', csv, 'text/csv;charset=utf-8');
+    }
+
+    handleResetImport() {
+        this.importFileName = '';
+        this.importHeaders = [];
+        this.importCells = [];
+        this.columnMapping = [];
+        this.importRows = [];
+        this.importProgress = 0;
+        this.importComplete = false;
+    }
+
+    get importModeLabel() {
+        return this.isImportMode ? 'Single Item' : 'Import CSV';
+    }
+
+    get importModeIcon() {
+        return this.isImportMode ? 'utility:add' : 'utility:upload';
+    }
+
+    get hasImportFile() {
+        return this.importRows.length > 0;
+    }
+
+    get mappingFieldOptions() {
+        return [
+            { label: '-- Ignore column --', value: '' },
+            ...IMPORT_FIELDS.map(def => ({ label: def.label, value: def.field }))
+        ];
+    }
+
+    get mappingRows() {
+        return this.importHeaders.map((header, index) => ({
+            key: String(index),
+            index: index,
+            header: header || `Column ${index + 1}`,
+            field: this.columnMapping[index],
+            sample: (this.importCells[0] || [])[index] || ''
+        }));
+    }
+
+    get readyCount() {
+        return this.importRows.filter(row => row.status === 'Ready').length;
+    }
+
+    get invalidCount() {
+        return this.importRows.filter(row => row.status === 'Invalid').length;
+    }
+
+    get createdCount() {
+        return this.importRows.filter(row => row.status === 'Created').length;
+    }
+
+    get failedCount() {
+        return this.importRows.filter(row => row.status === 'Failed').length;
+    }
+
+    get previewRows() {
+        const rows = this.showErrorsOnly
+            ? this.importRows.filter(row => row.status === 'Invalid' || row.status === 'Failed')
+            : this.importRows;
+        return rows.slice(0, PREVIEW_LIMIT);
+    }
+
+    get previewTruncated() {
+        const total = this.showErrorsOnly ? this.invalidCount + this.failedCount : this.importRows.length;
+        return total > PREVIEW_LIMIT;
+    }
+
+    get importButtonLabel() {
+        return `Import ${this.readyCount} Item(s)`;
+    }
+
+    get disableImport() {
+        return this.isImporting || this.importComplete || this.readyCount === 0;
+    }
+
     showToast(title, message, variant) {
         const evt = new ShowToastEvent({
             title: title,
@@ -0,0 +1,141 @@
+/**
+ * CSV import helpers for addLibraryItem.
+ * Maps the columns of a parsed catalog file to LibraryItemRequest fields and
+ * validates each row in the browser before anything is sent to Apex.
+ */
+
+export const IMPORT_CHUNK_SIZE = 25;
+export const MAX_IMPORT_ROWS = 2000;
+
+export const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+// LibraryItemRequest fields a column can map to, with header names recognised automatically
+export const IMPORT_FIELDS = [
+    { field: 'itemName', label: 'Item Name', aliases: ['item name', 'name', 'title'] },
+    { field: 'itemType', label: 'Item Type', aliases: ['item type', 'type'] },
+    { field: 'category', label: 'Category', aliases: ['category', 'genre'] },
+    { field: 'authorManufacturer', label: 'Author / Manufacturer', aliases: ['author', 'manufacturer', 'author/manufacturer', 'author / manufacturer'] },
+    { field: 'isbnSerial', label: 'ISBN / Serial', aliases: ['isbn', 'serial', 'isbn/serial', 'isbn / serial', 'serial number'] },
+    { field: 'barcode', label: 'Barcode', aliases: ['barcode'] },
+    { field: 'location', label: 'Location', aliases: ['location', 'shelf'] },
+    { field: 'condition', label: 'Condition', aliases: ['condition'] },
+    { field: 'purchaseDate', label: 'Purchase Date', aliases: ['purchase date', 'purchased', 'date'] },
+    { field: 'notes', label: 'Notes', aliases: ['notes', 'comments'] }
+];
+
+const NOTES_MAX_LENGTH = 500;
+
+// Map each header to a request field by name; unrecognised columns are ignored
+export function guessMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+        const normalized = header.trim().toLowerCase();
+        const match = IMPORT_FIELDS.find(
+            def => !used.has(def.field) && (def.field.toLowerCase() === normalized || def.aliases.includes(normalized))
+        );
+        if (match) {
+            used.add(match.field);
+            return match.field;
+        }
+        return '';
+    });
+}
+
+// Accepts YYYY-MM-DD or M/D/YYYY and returns YYYY-MM-DD, or null if not a real date
+export function normalizeDate(value) {
+    let year;
+    let month;
+    let day;
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else {
+        match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+        if (!match) {
+            return null;
+        }
+        [, month, day, year] = match.map(Number);
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function buildRequest(cells, mapping) {
+    const request = {};
+    mapping.forEach((field, index) => {
+        if (field) {
+            const value = (cells[index] || '').trim();
+            request[field] = value === '' ? null : value;
+        }
+    });
+    return request;
+}
+
+/**
+ * Validate and normalise one request. Returns the list of problems found;
+ * an empty list means the row can be submitted.
+ */
+export function validateRequest(request, itemTypes, seenBarcodes) {
+    const errors = [];
+
+    if (!request.itemName) {
+        errors.push('Item name is required');
+    }
+
+    if (!request.itemType) {
+        errors.push('Item type is required');
+    } else {
+        const itemType = itemTypes.find(type => type.toLowerCase() === request.itemType.toLowerCase());
+        if (itemType) {
+            request.itemType = itemType;
+        } else {
+            errors.push(`Unknown item type "${request.itemType}"`);
+        }
+    }
+
+    if (!request.condition) {
+        request.condition = 'Good';
+    } else {
+        const condition = CONDITIONS.find(value => value.toLowerCase() === request.condition.toLowerCase());
+        if (condition) {
+            request.condition = condition;
+        } else {
+            errors.push(`Condition must be one of ${CONDITIONS.join(', ')}`);
+        }
+    }
+
+    if (request.purchaseDate) {
+        const purchaseDate = normalizeDate(request.purchaseDate);
+        if (purchaseDate) {
+            request.purchaseDate = purchaseDate;
+        } else {
+            errors.push(`Invalid purchase date "${request.purchaseDate}"`);
+        }
+    }
+
+    if (request.barcode) {
+        const key = request.barcode.toUpperCase();
+        if (seenBarcodes.has(key)) {
+            errors.push(`Barcode ${request.barcode} appears more than once in the file`);
+        }
+        seenBarcodes.add(key);
+    }
+
+    if (request.notes && request.notes.length > NOTES_MAX_LENGTH) {
+        errors.push(`Notes exceed ${NOTES_MAX_LENGTH} characters`);
+    }
+
+    return errors;
+}
+
+export function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+}
@@ -0,0 +1,39 @@
+/**
+ * ISBN checksum helpers for addLibraryItem. Mirrors IsbnLookupService.normalizeIsbn so
+ * a mistyped or misread ISBN is caught before the lookup is sent to the server.
+ */
+
+export function isValidIsbn10(value) {
+    if (!/^\d{9}[\dX]$/.test(value)) {
+        return false;
+    }
+    const sum = value.split('').reduce((total, symbol, index) => {
+        const digit = symbol === 'X' ? 10 : Number(symbol);
+        return total + digit * (10 - index);
+    }, 0);
+    return sum % 11 === 0;
+}
+
+function isbn13CheckDigit(first12) {
+    const sum = first12.split('').reduce((total, symbol, index) => {
+        return total + Number(symbol) * (index % 2 === 0 ? 1 : 3);
+    }, 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidIsbn13(value) {
+    return /^97[89]\d{10}$/.test(value) && isbn13CheckDigit(value.slice(0, 12)) === value.slice(12);
+}
+
+// Returns the ISBN-13 form of a valid ISBN-10/13 (spaces and hyphens allowed), or null
+export function normalizeIsbn(value) {
+    const digits = (value || '').replace(/[\s-]/g, '').toUpperCase();
+    if (isValidIsbn13(digits)) {
+        return digits;
+    }
+    if (isValidIsbn10(digits)) {
+        const isbn13 = '978' + digits.slice(0, 9);
+        return isbn13 + isbn13CheckDigit(isbn13);
+    }
+    return null;
+}
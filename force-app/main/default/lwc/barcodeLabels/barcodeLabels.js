@@ -0,0 +1,217 @@
+/**
+ * Printable barcode label sheets shared by addLibraryItem and libraryItemsList.
+ * Labels carry a Code 128 or QR symbol of the item barcode with the item name
+ * and location, laid out for common Avery sheet formats so the browser prints
+ * them at actual size.
+ */
+
+import { downloadFile } from 'c/csvUtils';
+import { encodeCode128 } from './code128';
+import { encodeQr } from './qrCode';
+
+// Sheet geometry in the format's own unit; margins centre the label grid on the page
+export const LABEL_FORMATS = [
+    {
+        value: 'avery5160',
+        label: 'Avery 5160 (Letter, 30 per sheet, 2 5/8" x 1")',
+        unit: 'in', pageWidth: 8.5, pageHeight: 11,
+        columns: 3, rows: 10, labelWidth: 2.625, labelHeight: 1,
+        marginTop: 0.5, marginLeft: 0.1875, columnGap: 0.125, rowGap: 0
+    },
+    {
+        value: 'avery5163',
+        label: 'Avery 5163 (Letter, 10 per sheet, 4" x 2")',
+        unit: 'in', pageWidth: 8.5, pageHeight: 11,
+        columns: 2, rows: 5, labelWidth: 4, labelHeight: 2,
+        marginTop: 0.5, marginLeft: 0.15625, columnGap: 0.1875, rowGap: 0
+    },
+    {
+        value: 'averyL7160',
+        label: 'Avery L7160 (A4, 21 per sheet, 63.5 x 38.1 mm)',
+        unit: 'mm', pageWidth: 210, pageHeight: 297,
+        columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1,
+        marginTop: 15.15, marginLeft: 7.25, columnGap: 2.5, rowGap: 0
+    },
+    {
+        value: 'averyL7651',
+        label: 'Avery L7651 (A4, 65 per sheet, 38.1 x 21.2 mm)',
+        unit: 'mm', pageWidth: 210, pageHeight: 297,
+        columns: 5, rows: 13, labelWidth: 38.1, labelHeight: 21.2,
+        marginTop: 10.7, marginLeft: 4.75, columnGap: 2.5, rowGap: 0
+    }
+];
+
+export const SYMBOLOGIES = [
+    { label: 'Code 128', value: 'code128' },
+    { label: 'QR Code', value: 'qr' }
+];
+
+export const DEFAULT_LABEL_OPTIONS = {
+    format: 'avery5160',
+    symbology: 'code128',
+    startPosition: 1,
+    copies: 1
+};
+
+export const MAX_LABEL_COPIES = 50;
+
+// Quiet zones in modules: 10 either side for Code 128, 4 around a QR code
+const CODE128_QUIET_ZONE = 10;
+const QR_QUIET_ZONE = 4;
+
+export function findLabelFormat(formatValue) {
+    return LABEL_FORMATS.find(format => format.value === formatValue) || LABEL_FORMATS[0];
+}
+
+export function labelsPerSheet(formatValue) {
+    const format = findLabelFormat(formatValue);
+    return format.columns * format.rows;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function code128Svg(text) {
+    const widths = encodeCode128(text);
+    const totalModules = widths.reduce((sum, width) => sum + width, 0) + 2 * CODE128_QUIET_ZONE;
+    const bars = [];
+    let x = CODE128_QUIET_ZONE;
+    widths.forEach((width, index) => {
+        if (index % 2 === 0) {
+            bars.push(`M${x} 0h${width}v1h-${width}z`);
+        }
+        x += width;
+    });
+
+    return `<svg class="symbol code128" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalModules} 1" ` +
+        `preserveAspectRatio="none" shape-rendering="crispEdges"><path d="${bars.join('')}"/></svg>`;
+}
+
+function qrSvg(text) {
+    const { size, modules } = encodeQr(text);
+    const extent = size + 2 * QR_QUIET_ZONE;
+    const squares = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (modules[row * size + col]) {
+                squares.push(`M${col + QR_QUIET_ZONE} ${row + QR_QUIET_ZONE}h1v1h-1z`);
+            }
+        }
+    }
+
+    return `<svg class="symbol qr" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" ` +
+        `shape-rendering="crispEdges"><path d="${squares.join('')}"/></svg>`;
+}
+
+function labelHtml(item, symbology) {
+    const symbol = symbology === 'qr' ? qrSvg(item.barcode) : code128Svg(item.barcode);
+    const location = item.location ? `<div class="location">${escapeHtml(item.location)}</div>` : '';
+
+    return `<div class="label ${symbology}">${symbol}<div class="text">` +
+        `<div class="name">${escapeHtml(item.itemName)}</div>` +
+        `<div class="barcode">${escapeHtml(item.barcode)}</div>${location}</div></div>`;
+}
+
+function sheetStyles(format) {
+    const unit = value => `${value}${format.unit}`;
+    // Text scales with the label so the small A4 format stays legible without crowding the large one
+    const fontSize = Math.max(6, Math.min(11, (format.labelHeight * (format.unit === 'in' ? 25.4 : 1)) / 3));
+
+    return `
+        @page { size: ${unit(format.pageWidth)} ${unit(format.pageHeight)}; margin: 0; }
+        * { box-sizing: border-box; }
+        html, body { margin: 0; padding: 0; font-family: Arial, Helvetica, sans-serif; }
+        .instructions { padding: 12px 16px; background: #f3f3f3; border-bottom: 1px solid #ddd; font-size: 14px; }
+        .sheet {
+            position: relative; width: ${unit(format.pageWidth)}; height: ${unit(format.pageHeight)};
+            padding: ${unit(format.marginTop)} 0 0 ${unit(format.marginLeft)};
+            display: grid;
+            grid-template-columns: repeat(${format.columns}, ${unit(format.labelWidth)});
+            grid-auto-rows: ${unit(format.labelHeight)};
+            column-gap: ${unit(format.columnGap)}; row-gap: ${unit(format.rowGap)};
+            page-break-after: always; break-after: page; overflow: hidden;
+        }
+        .sheet:last-child { page-break-after: auto; break-after: auto; }
+        .label {
+            overflow: hidden; padding: 4%; display: flex; font-size: ${fontSize.toFixed(1)}pt; line-height: 1.15;
+        }
+        .label.code128 { flex-direction: column; justify-content: center; }
+        .label.code128 .symbol { width: 100%; height: 45%; order: 1; }
+        .label.code128 .text { display: contents; }
+        .label.code128 .name { order: 0; margin-bottom: 2%; }
+        .label.code128 .barcode { order: 2; text-align: center; letter-spacing: 0.05em; }
+        .label.code128 .location { order: 3; text-align: center; }
+        .label.qr { flex-direction: row; align-items: center; }
+        .label.qr .symbol { height: 100%; flex: 0 0 auto; }
+        .label.qr .text { flex: 1 1 auto; min-width: 0; padding-left: 4%; }
+        .name { font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .barcode, .location { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        @media screen {
+            body { background: #e5e5e5; }
+            .sheet { margin: 16px auto; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3); }
+            .label { outline: 1px dashed #ccc; }
+        }
+        @media print {
+            .instructions { display: none; }
+        }`;
+}
+
+/**
+ * Build a standalone HTML document of label sheets.
+ * items: [{ itemName, barcode, location }]; items without a barcode are skipped.
+ * options: { format, symbology, startPosition, copies } - startPosition (1-based)
+ * leaves the first labels of a partly used sheet blank.
+ */
+export function buildLabelSheet(items, options = {}) {
+    const settings = { ...DEFAULT_LABEL_OPTIONS, ...options };
+    const format = findLabelFormat(settings.format);
+    const perSheet = format.columns * format.rows;
+    const startPosition = Math.min(Math.max(parseInt(settings.startPosition, 10) || 1, 1), perSheet);
+    const copies = Math.min(Math.max(parseInt(settings.copies, 10) || 1, 1), MAX_LABEL_COPIES);
+
+    const cells = new Array(startPosition - 1).fill('<div class="label"></div>');
+    items.filter(item => item && item.barcode).forEach(item => {
+        const label = labelHtml(item, settings.symbology);
+        for (let i = 0; i < copies; i++) {
+            cells.push(label);
+        }
+    });
+
+    const sheets = [];
+    for (let i = 0; i < cells.length; i += perSheet) {
+        sheets.push(`<div class="sheet">${cells.slice(i, i + perSheet).join('')}</div>`);
+    }
+
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Library Labels - ${escapeHtml(format.label)}</title>` +
+        `<style>${sheetStyles(format)}</style></head><body>` +
+        `<div class="instructions">${escapeHtml(format.label)}: print at 100% scale (turn off "Fit to page") with no margins.</div>` +
+        `${sheets.join('')}</body></html>`;
+}
+
+/**
+ * Open the label sheet in a new window and start printing. When pop-ups are
+ * blocked the sheet is downloaded as an HTML file instead; returns false in that case.
+ */
+export function printLabelSheet(items, options = {}) {
+    const html = buildLabelSheet(items, options);
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const printWindow = window.open(url, '_blank');
+
+    if (!printWindow) {
+        URL.revokeObjectURL(url);
+        downloadFile(`library-labels-${new Date().toISOString().slice(0, 10)}.html`, html, 'text/html');
+        return false;
+    }
+
+    printWindow.addEventListener('load', () => {
+        printWindow.focus();
+        printWindow.print();
+        URL.revokeObjectURL(url);
+    });
+    return true;
+}
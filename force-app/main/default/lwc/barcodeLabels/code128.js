@@ -0,0 +1,88 @@
+/**
+ * Code 128 encoding for printed labels. Produces bar/space widths in modules,
+ * switching to code set C for runs of digits so numeric barcodes print narrower.
+ */
+
+import {
+    CODE128_PATTERNS,
+    CODE128_START_B,
+    CODE128_START_C,
+    CODE128_CODE_B,
+    CODE128_CODE_C,
+    CODE128_STOP
+} from 'c/barcodeSymbology';
+
+const STOP_TERMINATION_BAR = 2;
+
+// Digits in a row starting at index
+function digitRun(text, index) {
+    let end = index;
+    while (end < text.length && text[end] >= '0' && text[end] <= '9') {
+        end++;
+    }
+    return end - index;
+}
+
+// Symbol values for text, including start code, checksum and stop
+export function code128Values(text) {
+    const values = [];
+    let codeSet = null;
+    let index = 0;
+
+    const switchTo = target => {
+        if (codeSet !== target) {
+            if (codeSet === null) {
+                values.push(target === 'C' ? CODE128_START_C : CODE128_START_B);
+            } else {
+                values.push(target === 'C' ? CODE128_CODE_C : CODE128_CODE_B);
+            }
+            codeSet = target;
+        }
+    };
+
+    const pushCharacter = () => {
+        const code = text.charCodeAt(index);
+        if (code < 32 || code > 126) {
+            throw new Error(`Cannot encode character "${text[index]}" in Code 128`);
+        }
+        switchTo('B');
+        values.push(code - 32);
+        index++;
+    };
+
+    while (index < text.length) {
+        let run = digitRun(text, index);
+        const atEdge = index === 0 || index + run === text.length;
+
+        // Set C only pays off for 4+ digits at the start or end, 6+ in the middle
+        if (run >= (atEdge ? 4 : 6)) {
+            if (run % 2 === 1) {
+                pushCharacter();
+                run--;
+            }
+            switchTo('C');
+            for (; run > 0; run -= 2) {
+                values.push(Number(text.substr(index, 2)));
+                index += 2;
+            }
+        } else {
+            pushCharacter();
+        }
+    }
+
+    if (!values.length) {
+        throw new Error('Nothing to encode');
+    }
+
+    const checksum = values.reduce((sum, value, position) => sum + value * (position || 1), 0) % 103;
+    values.push(checksum, CODE128_STOP);
+    return values;
+}
+
+// Alternating bar and space widths in modules, starting with a bar (quiet zones not included)
+export function encodeCode128(text) {
+    const widths = [];
+    code128Values(text).forEach(value => widths.push(...CODE128_PATTERNS[value]));
+    widths.push(STOP_TERMINATION_BAR);
+    return widths;
+}
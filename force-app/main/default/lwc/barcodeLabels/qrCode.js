@@ -0,0 +1,320 @@
+/**
+ * QR code encoding for printed labels: byte mode, error correction level M,
+ * versions 1-10 (up to 213 bytes), which covers barcodes, URLs and short text.
+ * Returns the module matrix; rendering is left to the caller.
+ */
+
+import {
+    QR_VERSIONS,
+    FORMAT_MASK,
+    FORMAT_GENERATOR,
+    VERSION_GENERATOR,
+    MASK_FUNCTIONS,
+    GF_EXP,
+    gfMultiply
+} from 'c/barcodeSymbology';
+
+function utf8Bytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+function dataCapacity(version) {
+    const [, firstCount, firstData, secondCount = 0, secondData = 0] = QR_VERSIONS[version].M;
+    return firstCount * firstData + secondCount * secondData;
+}
+
+// Mode indicator, character count, data, terminator and pad codewords
+function buildDataCodewords(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version >= 10 ? 16 : 8);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacityBits = dataCapacity(version) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// Generator polynomial for ecCount error correction codewords, highest degree first (leading 1 dropped)
+function generatorPolynomial(ecCount) {
+    let generator = [1];
+    for (let i = 0; i < ecCount; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, GF_EXP[i]);
+        });
+        generator = next;
+    }
+    return generator.slice(1);
+}
+
+function errorCorrection(data, generator) {
+    const remainder = new Array(generator.length).fill(0);
+    data.forEach(codeword => {
+        const factor = codeword ^ remainder.shift();
+        remainder.push(0);
+        generator.forEach((coefficient, i) => {
+            remainder[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return remainder;
+}
+
+// Split into blocks, add error correction and interleave
+function buildCodewords(data, version) {
+    const [ecPerBlock, firstCount, firstData, secondCount = 0, secondData = 0] = QR_VERSIONS[version].M;
+    const generator = generatorPolynomial(ecPerBlock);
+    const blocks = [];
+    let offset = 0;
+
+    const sizes = [...new Array(firstCount).fill(firstData), ...new Array(secondCount).fill(secondData)];
+    sizes.forEach(size => {
+        const blockData = data.slice(offset, offset + size);
+        offset += size;
+        blocks.push({ data: blockData, ec: errorCorrection(blockData, generator) });
+    });
+
+    const result = [];
+    const longestData = Math.max(firstData, secondData);
+    for (let i = 0; i < longestData; i++) {
+        blocks.filter(block => i < block.data.length).forEach(block => result.push(block.data[i]));
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+function bchCode(data, generator, generatorDegree) {
+    let remainder = data << generatorDegree;
+    for (let bit = 31 - Math.clz32(remainder); bit >= generatorDegree; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= generator << (bit - generatorDegree);
+        }
+    }
+    return (data << generatorDegree) | remainder;
+}
+
+function createMatrix(version) {
+    const size = 17 + 4 * version;
+    const modules = new Uint8Array(size * size);
+    const reserved = new Uint8Array(size * size);
+
+    const set = (row, col, dark) => {
+        modules[row * size + col] = dark ? 1 : 0;
+        reserved[row * size + col] = 1;
+    };
+
+    // Finder patterns with their separators
+    [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([top, left]) => {
+        for (let row = -1; row <= 7; row++) {
+            for (let col = -1; col <= 7; col++) {
+                const r = top + row;
+                const c = left + col;
+                if (r >= 0 && r < size && c >= 0 && c < size) {
+                    const ring = Math.max(Math.abs(row - 3), Math.abs(col - 3));
+                    set(r, c, ring !== 2 && ring !== 4);
+                }
+            }
+        }
+    });
+
+    // Timing patterns
+    for (let i = 8; i < size - 8; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Alignment patterns, skipping the three that would overlap finders
+    const alignment = QR_VERSIONS[version].alignment;
+    const last = alignment.length - 1;
+    alignment.forEach((rowCenter, rowIndex) => {
+        alignment.forEach((colCenter, colIndex) => {
+            const overlapsFinder = (rowIndex === 0 && (colIndex === 0 || colIndex === last)) ||
+                (rowIndex === last && colIndex === 0);
+            if (!overlapsFinder) {
+                for (let row = -2; row <= 2; row++) {
+                    for (let col = -2; col <= 2; col++) {
+                        set(rowCenter + row, colCenter + col, Math.max(Math.abs(row), Math.abs(col)) !== 1);
+                    }
+                }
+            }
+        });
+    });
+
+    // Version information (7+)
+    if (version >= 7) {
+        const bits = bchCode(version, VERSION_GENERATOR, 12);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Reserve format areas; the bits are written once the mask is chosen
+    writeFormat(set, size, 0);
+
+    return { size, modules, reserved, set };
+}
+
+// EC level M is 00, so the format data bits are just the mask number
+function writeFormat(set, size, mask) {
+    const bits = bchCode(mask, FORMAT_GENERATOR, 10) ^ FORMAT_MASK;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) {
+        set(i, 8, bit(i));
+    }
+    set(7, 8, bit(6));
+    set(8, 8, bit(7));
+    set(8, 7, bit(8));
+    for (let i = 9; i < 15; i++) {
+        set(8, 14 - i, bit(i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+        set(8, size - 1 - i, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+        set(size - 15 + i, 8, bit(i));
+    }
+    set(size - 8, 8, true);
+}
+
+// Zig-zag placement in two-column strips from the bottom right, skipping the vertical timing column
+function placeCodewords(matrix, codewords) {
+    const { size, modules, reserved } = matrix;
+    const totalBits = codewords.length * 8;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const row = upward ? size - 1 - step : step;
+            for (let j = 0; j < 2; j++) {
+                const col = right - j;
+                const index = row * size + col;
+                if (!reserved[index] && bitIndex < totalBits) {
+                    modules[index] = (codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(matrix, mask) {
+    const { size, modules, reserved } = matrix;
+    const masked = Uint8Array.from(modules);
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            const index = row * size + col;
+            if (!reserved[index] && MASK_FUNCTIONS[mask](row, col)) {
+                masked[index] ^= 1;
+            }
+        }
+    }
+    return masked;
+}
+
+// ISO 18004 penalty rules: runs, 2x2 blocks, finder-like patterns and dark balance
+function penaltyScore(modules, size) {
+    let penalty = 0;
+    const get = (row, col) => modules[row * size + col];
+    const finderLike = [1, 0, 1, 1, 1, 0, 1];
+
+    for (let line = 0; line < size; line++) {
+        for (const horizontal of [true, false]) {
+            const at = i => (horizontal ? get(line, i) : get(i, line));
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && at(i) === at(i - 1)) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) {
+                        penalty += runLength - 2;
+                    }
+                    runLength = 1;
+                }
+            }
+
+            for (let i = 0; i + 7 <= size; i++) {
+                if (finderLike.every((value, k) => at(i + k) === value)) {
+                    const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || at(i - k) === 0);
+                    const lightAfter = [7, 8, 9, 10].every(k => i + k >= size || at(i + k) === 0);
+                    if (lightBefore || lightAfter) {
+                        penalty += 40;
+                    }
+                }
+            }
+        }
+    }
+
+    for (let row = 0; row < size - 1; row++) {
+        for (let col = 0; col < size - 1; col++) {
+            const color = get(row, col);
+            if (color === get(row, col + 1) && color === get(row + 1, col) && color === get(row + 1, col + 1)) {
+                penalty += 3;
+            }
+        }
+    }
+
+    const dark = modules.reduce((count, value) => count + value, 0);
+    penalty += 10 * Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5);
+
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code. Returns { size, modules } where modules[row * size + col]
+ * is 1 for a dark module; the 4-module quiet zone is not included.
+ */
+export function encodeQr(text) {
+    const bytes = utf8Bytes(text);
+    let version = 1;
+    // 4 mode bits + count bits must fit along with the data
+    while (version < QR_VERSIONS.length &&
+        4 + (version >= 10 ? 16 : 8) + bytes.length * 8 > dataCapacity(version) * 8) {
+        version++;
+    }
+    if (version >= QR_VERSIONS.length) {
+        throw new Error(`Text is too long for a QR label (${bytes.length} bytes)`);
+    }
+
+    const matrix = createMatrix(version);
+    placeCodewords(matrix, buildCodewords(buildDataCodewords(bytes, version), version));
+
+    let best = null;
+    for (let mask = 0; mask < MASK_FUNCTIONS.length; mask++) {
+        writeFormat(matrix.set, matrix.size, mask);
+        const masked = applyMask(matrix, mask);
+        const score = penaltyScore(masked, matrix.size);
+        if (!best || score < best.score) {
+            best = { score, modules: masked };
+        }
+    }
+
+    return { size: matrix.size, modules: best.modules };
+}
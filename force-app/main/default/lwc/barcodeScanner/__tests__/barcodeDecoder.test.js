@@ -0,0 +1,135 @@
+import { decodeImageData, FORMATS } from '../barcodeDecoder';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Channels per pixel for 8-bit PNG colour types: greyscale, RGB, greyscale + alpha, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) {
+        return left;
+    }
+    return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Read a non-interlaced 8-bit PNG fixture into the { data, width, height } RGBA shape canvas gives
+function loadFixture(name) {
+    const file = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+    let width = 0;
+    let height = 0;
+    let channels = 0;
+    const chunks = [];
+
+    for (let offset = 8; offset < file.length;) {
+        const length = file.readUInt32BE(offset);
+        const type = file.toString('ascii', offset + 4, offset + 8);
+        const body = file.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = body.readUInt32BE(0);
+            height = body.readUInt32BE(4);
+            channels = PNG_CHANNELS[body[9]];
+        } else if (type === 'IDAT') {
+            chunks.push(body);
+        }
+        offset += length + 12;
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const stride = width * channels;
+    const pixels = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        for (let x = 0; x < stride; x++) {
+            const value = raw[y * (stride + 1) + 1 + x];
+            const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+            const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            const upLeft = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+            const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+            pixels[y * stride + x] = (value + predictors[filter]) & 0xff;
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const pixel = pixels.subarray(i * channels, (i + 1) * channels);
+        const isGrey = channels < 3;
+        data[i * 4] = pixel[0];
+        data[i * 4 + 1] = isGrey ? pixel[0] : pixel[1];
+        data[i * 4 + 2] = isGrey ? pixel[0] : pixel[2];
+        data[i * 4 + 3] = channels === 2 || channels === 4 ? pixel[channels - 1] : 255;
+    }
+    return { data, width, height };
+}
+
+// Rotate a fixture half a turn, as when a book is scanned upside down
+function rotateHalfTurn(image) {
+    const data = new Uint8ClampedArray(image.data.length);
+    const pixelCount = image.width * image.height;
+    for (let i = 0; i < pixelCount; i++) {
+        data.set(image.data.subarray(i * 4, i * 4 + 4), (pixelCount - 1 - i) * 4);
+    }
+    return { data, width: image.width, height: image.height };
+}
+
+describe('c-barcode-scanner barcodeDecoder', () => {
+    it('decodes a Code 128 item barcode', () => {
+        expect(decodeImageData(loadFixture('code128.png'))).toEqual({
+            format: FORMATS.CODE_128,
+            text: 'LIB-000123'
+        });
+    });
+
+    it('decodes a Code 128 barcode scanned upside down', () => {
+        expect(decodeImageData(rotateHalfTurn(loadFixture('code128.png')))).toEqual({
+            format: FORMATS.CODE_128,
+            text: 'LIB-000123'
+        });
+    });
+
+    it('decodes a Code 39 barcode', () => {
+        expect(decodeImageData(loadFixture('code39.png'))).toEqual({
+            format: FORMATS.CODE_39,
+            text: 'ITEM-42'
+        });
+    });
+
+    it('decodes an ISBN-13 printed as EAN-13', () => {
+        expect(decodeImageData(loadFixture('isbn13.png'))).toEqual({
+            format: FORMATS.EAN_13,
+            text: '9780306406157'
+        });
+    });
+
+    it('decodes a QR code', () => {
+        expect(decodeImageData(loadFixture('qr.png'))).toEqual({
+            format: FORMATS.QR_CODE,
+            text: 'LIB-000123'
+        });
+    });
+
+    it('decodes a longer QR code spread over several error correction blocks', () => {
+        expect(decodeImageData(loadFixture('qr-url.png'))).toEqual({
+            format: FORMATS.QR_CODE,
+            text: 'https://library.example.org/catalog/items/LIB-000123?copy=2'
+        });
+    });
+
+    it('rejects a barcode with bars scrubbed out', () => {
+        expect(decodeImageData(loadFixture('code128-damaged.png'))).toBeNull();
+    });
+
+    it('rejects an image with no barcode', () => {
+        expect(decodeImageData(loadFixture('blank.png'))).toBeNull();
+    });
+
+    it('rejects missing image data', () => {
+        expect(decodeImageData(null)).toBeNull();
+        expect(decodeImageData({ data: new Uint8ClampedArray(0), width: 0, height: 0 })).toBeNull();
+    });
+});
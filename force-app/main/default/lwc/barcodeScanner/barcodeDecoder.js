@@ -0,0 +1,1220 @@
+/**
+ * Barcode decoding for barcodeScanner camera and photo capture.
+ * Works on ImageData-like objects ({ data, width, height }) so video frames,
+ * uploaded photos and test fixtures all go through the same path.
+ * Supports EAN-13 (including ISBN-13), Code 128, Code 39 and QR codes (versions 1-10).
+ */
+
+import {
+    CODE128_PATTERNS,
+    CODE128_START_A,
+    CODE128_START_B,
+    CODE128_START_C,
+    CODE128_STOP,
+    QR_VERSIONS,
+    FORMAT_MASK,
+    FORMAT_GENERATOR,
+    MASK_FUNCTIONS,
+    GF_EXP,
+    GF_LOG,
+    gfMultiply
+} from 'c/barcodeSymbology';
+
+export const FORMATS = {
+    EAN_13: 'EAN_13',
+    CODE_128: 'CODE_128',
+    CODE_39: 'CODE_39',
+    QR_CODE: 'QR_CODE'
+};
+
+// Rows sampled for 1D codes, spread out from the middle of the image
+const LINEAR_ROW_COUNT = 32;
+const MIN_ROW_CONTRAST = 32;
+
+// Average per-element deviation (in modules) accepted when matching bar patterns
+const MAX_ELEMENT_VARIANCE = 0.45;
+
+/**
+ * Decode the first barcode found in an image.
+ * Returns { format, text } or null when nothing readable was found.
+ */
+export function decodeImageData(imageData) {
+    if (!imageData || !imageData.data || !imageData.width || !imageData.height) {
+        return null;
+    }
+
+    const { width, height } = imageData;
+    const luminance = toLuminance(imageData.data, width, height);
+
+    return decodeLinear(luminance, width, height) || decodeQr(luminance, width, height);
+}
+
+// Grayscale with transparent pixels treated as white paper
+function toLuminance(data, width, height) {
+    const luminance = new Uint8Array(width * height);
+
+    for (let i = 0; i < luminance.length; i++) {
+        const offset = i * 4;
+        const alpha = data[offset + 3];
+        const gray = (data[offset] + 2 * data[offset + 1] + data[offset + 2]) >> 2;
+        luminance[i] = (gray * alpha + 255 * (255 - alpha)) / 255;
+    }
+
+    return luminance;
+}
+
+// ---------------------------------------------------------------------------
+// 1D CODES (EAN-13, Code 128, Code 39)
+// ---------------------------------------------------------------------------
+
+// EAN digit widths (space, bar, space, bar); G codes are these reversed
+const EAN_L_PATTERNS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const EAN_G_PATTERNS = EAN_L_PATTERNS.map(pattern => pattern.slice().reverse());
+
+// L/G parity of the left half encodes the first digit
+const EAN_FIRST_DIGIT_PARITY = [
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+    'LGGLLG', 'LGGGLG', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+const CODE128_START_PATTERNS = [
+    CODE128_PATTERNS[CODE128_START_A],
+    CODE128_PATTERNS[CODE128_START_B],
+    CODE128_PATTERNS[CODE128_START_C]
+];
+
+// Code 39: nine elements per character, a set bit marks a wide element
+const CODE39_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%*';
+const CODE39_ENCODINGS = [
+    0x034, 0x121, 0x061, 0x160, 0x031, 0x130, 0x070, 0x025, 0x124, 0x064,
+    0x109, 0x049, 0x148, 0x019, 0x118, 0x058, 0x00d, 0x10c, 0x04c, 0x01c,
+    0x103, 0x043, 0x142, 0x013, 0x112, 0x052, 0x007, 0x106, 0x046, 0x016,
+    0x181, 0x0c1, 0x1c0, 0x091, 0x190, 0x0d0, 0x085, 0x184, 0x0c4, 0x0a8,
+    0x0a2, 0x08a, 0x02a, 0x094
+];
+const CODE39_START_STOP = 0x094;
+
+function decodeLinear(luminance, width, height) {
+    const middle = Math.floor(height / 2);
+    const rowStep = Math.max(1, Math.floor(height / LINEAR_ROW_COUNT));
+
+    for (let offset = 0; offset <= middle; offset += rowStep) {
+        const rows = offset === 0 ? [middle] : [middle - offset, middle + offset];
+
+        for (const y of rows) {
+            if (y < 0 || y >= height) {
+                continue;
+            }
+            const runs = rowRuns(luminance, width, y);
+            if (!runs) {
+                continue;
+            }
+            // Try both directions so upside-down codes still read
+            const result = decodeRuns(runs) || decodeRuns(reverseRuns(runs));
+            if (result) {
+                return result;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Run lengths along one row. Even indexes are light runs and odd indexes
+ * are dark runs; the first run is light and may be empty.
+ */
+function rowRuns(luminance, width, y) {
+    const rowStart = y * width;
+    let min = 255;
+    let max = 0;
+
+    for (let x = 0; x < width; x++) {
+        const value = luminance[rowStart + x];
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+
+    if (max - min < MIN_ROW_CONTRAST) {
+        return null;
+    }
+
+    const threshold = (min + max) / 2;
+    const runs = [0];
+    let dark = false;
+
+    for (let x = 0; x < width; x++) {
+        const pixelDark = luminance[rowStart + x] < threshold;
+        if (pixelDark !== dark) {
+            runs.push(0);
+            dark = pixelDark;
+        }
+        runs[runs.length - 1]++;
+    }
+
+    return runs;
+}
+
+function reverseRuns(runs) {
+    const reversed = runs.slice().reverse();
+    // Keep the light-first convention
+    return runs.length % 2 === 0 ? [0, ...reversed] : reversed;
+}
+
+function decodeRuns(runs) {
+    for (let start = 1; start < runs.length; start += 2) {
+        const result = decodeEan13(runs, start) || decodeCode128(runs, start) || decodeCode39(runs, start);
+        if (result) {
+            return result;
+        }
+    }
+    return null;
+}
+
+function sumRuns(runs, start, count) {
+    let total = 0;
+    for (let i = start; i < start + count; i++) {
+        total += runs[i];
+    }
+    return total;
+}
+
+// Average deviation per element between observed runs and a pattern, in modules
+function patternVariance(runs, start, pattern, totalModules) {
+    const unit = sumRuns(runs, start, pattern.length) / totalModules;
+    let variance = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        variance += Math.abs(runs[start + i] / unit - pattern[i]);
+    }
+
+    return variance / pattern.length;
+}
+
+// Index of the closest pattern, or -1 when nothing is close enough
+function bestPattern(runs, start, patterns, totalModules) {
+    let bestIndex = -1;
+    let bestVariance = MAX_ELEMENT_VARIANCE;
+
+    patterns.forEach((pattern, index) => {
+        const variance = patternVariance(runs, start, pattern, totalModules);
+        if (variance < bestVariance) {
+            bestVariance = variance;
+            bestIndex = index;
+        }
+    });
+
+    return bestIndex;
+}
+
+function hasQuietZone(runs, index, minWidth) {
+    return index <= 0 || index >= runs.length - 1 || runs[index] >= minWidth;
+}
+
+function decodeEan13(runs, start) {
+    // Start guard + 6 digits + middle guard + 6 digits + end guard
+    const runCount = 3 + 24 + 5 + 24 + 3;
+    if (start + runCount > runs.length) {
+        return null;
+    }
+
+    const unit = sumRuns(runs, start, runCount) / 95;
+    const isGuard = (index, count) => {
+        for (let i = index; i < index + count; i++) {
+            if (Math.abs(runs[i] / unit - 1) > 0.7) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    if (!isGuard(start, 3) || !isGuard(start + 27, 5) || !isGuard(start + 56, 3) ||
+        !hasQuietZone(runs, start - 1, unit * 3) || !hasQuietZone(runs, start + runCount, unit * 3)) {
+        return null;
+    }
+
+    const digits = [];
+    let parity = '';
+
+    for (let i = 0; i < 6; i++) {
+        const digitStart = start + 3 + i * 4;
+        const index = bestPattern(runs, digitStart, [...EAN_L_PATTERNS, ...EAN_G_PATTERNS], 7);
+        if (index < 0) {
+            return null;
+        }
+        digits.push(index % 10);
+        parity += index < 10 ? 'L' : 'G';
+    }
+
+    for (let i = 0; i < 6; i++) {
+        const digit = bestPattern(runs, start + 32 + i * 4, EAN_L_PATTERNS, 7);
+        if (digit < 0) {
+            return null;
+        }
+        digits.push(digit);
+    }
+
+    const firstDigit = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+    if (firstDigit < 0) {
+        return null;
+    }
+    digits.unshift(firstDigit);
+
+    let checksum = 0;
+    for (let i = 0; i < 12; i++) {
+        checksum += digits[i] * (i % 2 === 0 ? 1 : 3);
+    }
+    if ((10 - (checksum % 10)) % 10 !== digits[12]) {
+        return null;
+    }
+
+    return { format: FORMATS.EAN_13, text: digits.join('') };
+}
+
+function decodeCode128(runs, start) {
+    if (start + 6 > runs.length) {
+        return null;
+    }
+
+    const startIndex = bestPattern(runs, start, CODE128_START_PATTERNS, 11);
+    const unit = sumRuns(runs, start, 6) / 11;
+    if (startIndex < 0 || !hasQuietZone(runs, start - 1, unit * 5)) {
+        return null;
+    }
+
+    const values = [CODE128_START_A + startIndex];
+    let position = start + 6;
+    let stopped = false;
+
+    while (position + 6 <= runs.length) {
+        const value = bestPattern(runs, position, CODE128_PATTERNS, 11);
+        if (value < 0 || (value >= CODE128_START_A && value !== CODE128_STOP)) {
+            return null;
+        }
+        if (value === CODE128_STOP) {
+            stopped = true;
+            break;
+        }
+        values.push(value);
+        position += 6;
+    }
+
+    // Need start, at least one data symbol and the check symbol
+    if (!stopped || values.length < 3) {
+        return null;
+    }
+
+    const checkValue = values.pop();
+    let checksum = values[0];
+    for (let i = 1; i < values.length; i++) {
+        checksum += values[i] * i;
+    }
+    if (checksum % 103 !== checkValue) {
+        return null;
+    }
+
+    const text = code128Text(values);
+    return text ? { format: FORMATS.CODE_128, text: text } : null;
+}
+
+function code128Text(values) {
+    let codeSet = values[0] === CODE128_START_A ? 'A' : values[0] === CODE128_START_B ? 'B' : 'C';
+    let shifted = false;
+    let text = '';
+
+    for (let i = 1; i < values.length; i++) {
+        const value = values[i];
+        const activeSet = shifted ? (codeSet === 'A' ? 'B' : 'A') : codeSet;
+        shifted = false;
+
+        if (activeSet === 'C') {
+            if (value < 100) {
+                text += String(value).padStart(2, '0');
+            } else if (value === 100) {
+                codeSet = 'B';
+            } else if (value === 101) {
+                codeSet = 'A';
+            }
+            continue;
+        }
+
+        if (value < 96) {
+            if (activeSet === 'A') {
+                text += String.fromCharCode(value < 64 ? value + 32 : value - 64);
+            } else {
+                text += String.fromCharCode(value + 32);
+            }
+        } else if (value === 98) {
+            shifted = true;
+        } else if (value === 99) {
+            codeSet = 'C';
+        } else if (value === 100 && activeSet === 'A') {
+            codeSet = 'B';
+        } else if (value === 101 && activeSet === 'B') {
+            codeSet = 'A';
+        }
+        // FNC1-4 carry no text
+    }
+
+    return text;
+}
+
+// Nine-element character with exactly three wide elements, or -1
+function code39Character(runs, start) {
+    if (start + 9 > runs.length) {
+        return -1;
+    }
+
+    const widths = runs.slice(start, start + 9);
+    const sorted = widths.slice().sort((a, b) => b - a);
+    const narrowMax = sorted[3];
+    const wideMin = sorted[2];
+
+    if (wideMin < narrowMax * 1.4) {
+        return -1;
+    }
+
+    let pattern = 0;
+    widths.forEach((width, i) => {
+        if (width >= wideMin) {
+            pattern |= 1 << (8 - i);
+        }
+    });
+
+    return CODE39_ENCODINGS.indexOf(pattern);
+}
+
+function decodeCode39(runs, start) {
+    const startChar = code39Character(runs, start);
+    if (startChar < 0 || CODE39_ENCODINGS[startChar] !== CODE39_START_STOP) {
+        return null;
+    }
+
+    const charWidth = sumRuns(runs, start, 9);
+    if (!hasQuietZone(runs, start - 1, charWidth / 2)) {
+        return null;
+    }
+
+    let text = '';
+    // Characters are separated by a narrow light gap
+    for (let position = start + 10; position + 9 <= runs.length; position += 10) {
+        const character = code39Character(runs, position);
+        if (character < 0) {
+            return null;
+        }
+        if (CODE39_ENCODINGS[character] === CODE39_START_STOP) {
+            return text ? { format: FORMATS.CODE_39, text: text } : null;
+        }
+        text += CODE39_ALPHABET[character];
+    }
+
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// QR CODES
+// ---------------------------------------------------------------------------
+
+const BLOCK_SIZE = 8;
+const MIN_DYNAMIC_RANGE = 24;
+const MAX_FINDER_CANDIDATES = 8;
+const MIN_TIMING_SCORE = 0.8;
+
+const QR_MAX_DIMENSION = 17 + 4 * (QR_VERSIONS.length - 1);
+
+// Format bits 2 bits EC level + 3 bits mask
+const EC_LEVEL_BY_BITS = ['M', 'L', 'H', 'Q'];
+const FORMAT_CODES = Array.from({ length: 32 }, (unused, data) => {
+    let remainder = data << 10;
+    for (let bit = 14; bit >= 10; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= FORMAT_GENERATOR << (bit - 10);
+        }
+    }
+    return ((data << 10) | remainder) ^ FORMAT_MASK;
+});
+
+const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+function decodeQr(luminance, width, height) {
+    const bits = binarize(luminance, width, height);
+    const candidates = findFinderPatterns(bits, width, height);
+
+    for (const triple of finderTriples(candidates)) {
+        const [topLeft, topRight, bottomLeft] = orderFinderPatterns(triple);
+
+        for (const dimension of candidateDimensions(topLeft, topRight, bottomLeft)) {
+            const matrix = sampleGrid(bits, width, height, topLeft, topRight, bottomLeft, dimension);
+            if (timingScore(matrix, dimension) < MIN_TIMING_SCORE) {
+                continue;
+            }
+            const text = readQrMatrix(matrix, dimension);
+            if (text !== null) {
+                return { format: FORMATS.QR_CODE, text: text };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Local-average binarizer: each pixel is compared against the mean of the
+ * surrounding 5x5 blocks so uneven lighting across a camera frame is tolerated.
+ * Returns one byte per pixel, 1 for dark.
+ */
+function binarize(luminance, width, height) {
+    const bits = new Uint8Array(width * height);
+
+    if (width < BLOCK_SIZE * 5 || height < BLOCK_SIZE * 5) {
+        let total = 0;
+        luminance.forEach(value => {
+            total += value;
+        });
+        const threshold = total / luminance.length;
+        luminance.forEach((value, i) => {
+            bits[i] = value < threshold ? 1 : 0;
+        });
+        return bits;
+    }
+
+    const blocksWide = Math.ceil(width / BLOCK_SIZE);
+    const blocksHigh = Math.ceil(height / BLOCK_SIZE);
+    const blackPoints = new Float32Array(blocksWide * blocksHigh);
+
+    for (let by = 0; by < blocksHigh; by++) {
+        for (let bx = 0; bx < blocksWide; bx++) {
+            let sum = 0;
+            let count = 0;
+            let min = 255;
+            let max = 0;
+
+            for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+                for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+                    const value = luminance[y * width + x];
+                    sum += value;
+                    count++;
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+
+            let average = sum / count;
+            if (max - min <= MIN_DYNAMIC_RANGE) {
+                // Flat block - assume light unless the neighbours say it sits inside a dark area
+                average = min / 2;
+                if (by > 0 && bx > 0) {
+                    const neighbours = (blackPoints[(by - 1) * blocksWide + bx] +
+                        2 * blackPoints[by * blocksWide + bx - 1] +
+                        blackPoints[(by - 1) * blocksWide + bx - 1]) / 4;
+                    if (min < neighbours) {
+                        average = neighbours;
+                    }
+                }
+            }
+            blackPoints[by * blocksWide + bx] = average;
+        }
+    }
+
+    for (let by = 0; by < blocksHigh; by++) {
+        for (let bx = 0; bx < blocksWide; bx++) {
+            let sum = 0;
+            let count = 0;
+            for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksHigh - 1, by + 2); ny++) {
+                for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksWide - 1, bx + 2); nx++) {
+                    sum += blackPoints[ny * blocksWide + nx];
+                    count++;
+                }
+            }
+            const threshold = sum / count;
+
+            for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+                for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+                    bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                }
+            }
+        }
+    }
+
+    return bits;
+}
+
+// Dark:light:dark:light:dark in a 1:1:3:1:1 ratio
+function isFinderRatio(counts) {
+    let total = 0;
+    for (const count of counts) {
+        if (count === 0) {
+            return false;
+        }
+        total += count;
+    }
+    if (total < 7) {
+        return false;
+    }
+
+    const moduleSize = total / 7;
+    const maxVariance = moduleSize / 2;
+
+    return Math.abs(moduleSize - counts[0]) < maxVariance &&
+        Math.abs(moduleSize - counts[1]) < maxVariance &&
+        Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+        Math.abs(moduleSize - counts[3]) < maxVariance &&
+        Math.abs(moduleSize - counts[4]) < maxVariance;
+}
+
+function findFinderPatterns(bits, width, height) {
+    const candidates = [];
+    const rowStep = Math.max(1, Math.floor(height / 400));
+
+    for (let y = 0; y < height; y += rowStep) {
+        let counts = [0, 0, 0, 0, 0];
+        let state = 0;
+
+        for (let x = 0; x < width; x++) {
+            if (bits[y * width + x]) {
+                if (state % 2 === 1) {
+                    state++;
+                }
+                counts[state]++;
+            } else if (state % 2 === 1) {
+                counts[state]++;
+            } else if (state < 4) {
+                state++;
+                counts[state]++;
+            } else {
+                if (isFinderRatio(counts)) {
+                    addFinderCandidate(candidates, bits, width, height, counts, x, y);
+                }
+                // Slide the window along by one dark/light pair
+                counts = [counts[2], counts[3], counts[4], 1, 0];
+                state = 3;
+            }
+        }
+
+        if (state === 4 && isFinderRatio(counts)) {
+            addFinderCandidate(candidates, bits, width, height, counts, width, y);
+        }
+    }
+
+    return candidates;
+}
+
+function addFinderCandidate(candidates, bits, width, height, counts, endX, y) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const roughX = endX - counts[4] - counts[3] - counts[2] / 2;
+
+    const centerY = crossCheck(bits, width, height, Math.floor(roughX), y, counts[2], total, true);
+    if (Number.isNaN(centerY)) {
+        return;
+    }
+    const centerX = crossCheck(bits, width, height, Math.floor(roughX), Math.floor(centerY), counts[2], total, false);
+    if (Number.isNaN(centerX)) {
+        return;
+    }
+
+    const moduleSize = total / 7;
+    const existing = candidates.find(candidate =>
+        Math.abs(candidate.x - centerX) <= moduleSize &&
+        Math.abs(candidate.y - centerY) <= moduleSize &&
+        Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, candidate.moduleSize * 0.5));
+
+    if (existing) {
+        const weight = existing.count;
+        existing.x = (existing.x * weight + centerX) / (weight + 1);
+        existing.y = (existing.y * weight + centerY) / (weight + 1);
+        existing.moduleSize = (existing.moduleSize * weight + moduleSize) / (weight + 1);
+        existing.count++;
+    } else {
+        candidates.push({ x: centerX, y: centerY, moduleSize: moduleSize, count: 1 });
+    }
+}
+
+/**
+ * Re-measure a finder pattern across the other axis through (x, y).
+ * Returns the refined centre coordinate on that axis, or NaN.
+ */
+function crossCheck(bits, width, height, x, y, maxCount, originalTotal, vertical) {
+    const limit = vertical ? height : width;
+    const start = vertical ? y : x;
+    const isDark = position => (vertical ? bits[position * width + x] : bits[y * width + position]) === 1;
+    const counts = [0, 0, 0, 0, 0];
+
+    let position = start;
+    while (position >= 0 && isDark(position)) {
+        counts[2]++;
+        position--;
+    }
+    while (position >= 0 && !isDark(position) && counts[1] <= maxCount) {
+        counts[1]++;
+        position--;
+    }
+    if (position < 0 || counts[1] > maxCount) {
+        return NaN;
+    }
+    while (position >= 0 && isDark(position) && counts[0] <= maxCount) {
+        counts[0]++;
+        position--;
+    }
+    if (counts[0] > maxCount) {
+        return NaN;
+    }
+
+    position = start + 1;
+    while (position < limit && isDark(position)) {
+        counts[2]++;
+        position++;
+    }
+    while (position < limit && !isDark(position) && counts[3] <= maxCount) {
+        counts[3]++;
+        position++;
+    }
+    if (position >= limit || counts[3] > maxCount) {
+        return NaN;
+    }
+    while (position < limit && isDark(position) && counts[4] <= maxCount) {
+        counts[4]++;
+        position++;
+    }
+    if (counts[4] > maxCount) {
+        return NaN;
+    }
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal || !isFinderRatio(counts)) {
+        return NaN;
+    }
+
+    return position - counts[4] - counts[3] - counts[2] / 2;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Plausible sets of three finder patterns, best first
+function finderTriples(candidates) {
+    const ranked = candidates
+        .slice()
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_FINDER_CANDIDATES);
+    const triples = [];
+
+    for (let i = 0; i < ranked.length; i++) {
+        for (let j = i + 1; j < ranked.length; j++) {
+            for (let k = j + 1; k < ranked.length; k++) {
+                const triple = [ranked[i], ranked[j], ranked[k]];
+                const sizes = triple.map(pattern => pattern.moduleSize);
+                const maxSize = Math.max(...sizes);
+                const minSize = Math.min(...sizes);
+                if (minSize < maxSize * 0.6) {
+                    continue;
+                }
+
+                // The patterns sit on the corners of a right isosceles triangle
+                const sides = [
+                    distance(ranked[i], ranked[j]),
+                    distance(ranked[j], ranked[k]),
+                    distance(ranked[i], ranked[k])
+                ].sort((a, b) => a - b);
+                const legDifference = (sides[1] - sides[0]) / sides[1];
+                const hypotenuseError = Math.abs(sides[2] - Math.hypot(sides[0], sides[1])) / sides[2];
+                if (legDifference > 0.25 || hypotenuseError > 0.15 || sides[0] < maxSize * 10) {
+                    continue;
+                }
+
+                triples.push({ triple, score: legDifference + hypotenuseError + (maxSize - minSize) / maxSize });
+            }
+        }
+    }
+
+    return triples.sort((a, b) => a.score - b.score).map(entry => entry.triple);
+}
+
+// [topLeft, topRight, bottomLeft]
+function orderFinderPatterns(triple) {
+    const [a, b, c] = triple;
+    const ab = distance(a, b);
+    const bc = distance(b, c);
+    const ac = distance(a, c);
+
+    // The top-left pattern is opposite the longest side
+    let topLeft;
+    let first;
+    let second;
+    if (bc >= ab && bc >= ac) {
+        [topLeft, first, second] = [a, b, c];
+    } else if (ac >= ab) {
+        [topLeft, first, second] = [b, a, c];
+    } else {
+        [topLeft, first, second] = [c, a, b];
+    }
+
+    const cross = (first.x - topLeft.x) * (second.y - topLeft.y) - (first.y - topLeft.y) * (second.x - topLeft.x);
+    return cross >= 0 ? [topLeft, first, second] : [topLeft, second, first];
+}
+
+// Symbol sizes to try, nearest to the estimate first; the timing pattern picks the right one
+function candidateDimensions(topLeft, topRight, bottomLeft) {
+    const moduleSize = (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+    const estimate = (distance(topLeft, topRight) + distance(topLeft, bottomLeft)) / (2 * moduleSize) + 7;
+    const dimensions = [];
+
+    for (let dimension = 21; dimension <= QR_MAX_DIMENSION; dimension += 4) {
+        if (Math.abs(dimension - estimate) <= 8) {
+            dimensions.push(dimension);
+        }
+    }
+
+    return dimensions.sort((a, b) => Math.abs(a - estimate) - Math.abs(b - estimate));
+}
+
+// Sample module centres using the affine frame defined by the finder pattern centres
+function sampleGrid(bits, width, height, topLeft, topRight, bottomLeft, dimension) {
+    const span = dimension - 7;
+    const colStepX = (topRight.x - topLeft.x) / span;
+    const colStepY = (topRight.y - topLeft.y) / span;
+    const rowStepX = (bottomLeft.x - topLeft.x) / span;
+    const rowStepY = (bottomLeft.y - topLeft.y) / span;
+    const matrix = new Uint8Array(dimension * dimension);
+
+    for (let row = 0; row < dimension; row++) {
+        for (let col = 0; col < dimension; col++) {
+            const moduleX = col - 3;
+            const moduleY = row - 3;
+            const x = Math.floor(topLeft.x + moduleX * colStepX + moduleY * rowStepX);
+            const y = Math.floor(topLeft.y + moduleX * colStepY + moduleY * rowStepY);
+
+            if (x >= 0 && x < width && y >= 0 && y < height) {
+                matrix[row * dimension + col] = bits[y * width + x];
+            }
+        }
+    }
+
+    return matrix;
+}
+
+// Fraction of timing pattern modules that alternate as expected
+function timingScore(matrix, dimension) {
+    let matches = 0;
+    let total = 0;
+
+    for (let i = 8; i < dimension - 8; i++) {
+        const expected = i % 2 === 0 ? 1 : 0;
+        matches += matrix[6 * dimension + i] === expected ? 1 : 0;
+        matches += matrix[i * dimension + 6] === expected ? 1 : 0;
+        total += 2;
+    }
+
+    return matches / total;
+}
+
+function readQrMatrix(matrix, dimension) {
+    const version = (dimension - 17) / 4;
+    const versionInfo = QR_VERSIONS[version];
+    const get = (col, row) => matrix[row * dimension + col];
+
+    const format = readFormat(get, dimension);
+    if (!format) {
+        return null;
+    }
+
+    const isFunction = buildFunctionMask(version, dimension);
+    const maskFunction = MASK_FUNCTIONS[format.mask];
+    const codewords = [];
+    let currentByte = 0;
+    let bitsRead = 0;
+    let readingUp = true;
+
+    // Two-module-wide columns zig-zag from the bottom right, skipping the vertical timing column
+    for (let col = dimension - 1; col > 0; col -= 2) {
+        if (col === 6) {
+            col--;
+        }
+        for (let count = 0; count < dimension; count++) {
+            const row = readingUp ? dimension - 1 - count : count;
+            for (let offset = 0; offset < 2; offset++) {
+                const x = col - offset;
+                if (isFunction[row * dimension + x]) {
+                    continue;
+                }
+                let bit = get(x, row);
+                if (maskFunction(row, x)) {
+                    bit ^= 1;
+                }
+                currentByte = (currentByte << 1) | bit;
+                bitsRead++;
+                if (bitsRead === 8) {
+                    codewords.push(currentByte);
+                    currentByte = 0;
+                    bitsRead = 0;
+                }
+            }
+        }
+        readingUp = !readingUp;
+    }
+
+    const data = correctBlocks(codewords, versionInfo[format.ecLevel]);
+    return data ? parseSegments(data, version) : null;
+}
+
+function readFormat(get, dimension) {
+    let primary = 0;
+    const appendBit = (value, col, row) => (value << 1) | get(col, row);
+
+    for (let i = 0; i < 6; i++) {
+        primary = appendBit(primary, i, 8);
+    }
+    primary = appendBit(primary, 7, 8);
+    primary = appendBit(primary, 8, 8);
+    primary = appendBit(primary, 8, 7);
+    for (let i = 5; i >= 0; i--) {
+        primary = appendBit(primary, 8, i);
+    }
+
+    let secondary = 0;
+    for (let i = dimension - 1; i >= dimension - 7; i--) {
+        secondary = appendBit(secondary, 8, i);
+    }
+    for (let i = dimension - 8; i < dimension; i++) {
+        secondary = appendBit(secondary, i, 8);
+    }
+
+    let bestData = -1;
+    let bestDistance = 4;
+    FORMAT_CODES.forEach((code, data) => {
+        for (const bits of [primary, secondary]) {
+            const bitDistance = countBits(bits ^ code);
+            if (bitDistance < bestDistance) {
+                bestDistance = bitDistance;
+                bestData = data;
+            }
+        }
+    });
+
+    if (bestData < 0) {
+        return null;
+    }
+
+    return { ecLevel: EC_LEVEL_BY_BITS[bestData >> 3], mask: bestData & 7 };
+}
+
+function countBits(value) {
+    let count = 0;
+    let remaining = value;
+    while (remaining) {
+        count += remaining & 1;
+        remaining >>>= 1;
+    }
+    return count;
+}
+
+// Modules used by finder, timing, alignment, format and version patterns
+function buildFunctionMask(version, dimension) {
+    const mask = new Uint8Array(dimension * dimension);
+    const setRegion = (left, top, regionWidth, regionHeight) => {
+        for (let row = top; row < top + regionHeight; row++) {
+            for (let col = left; col < left + regionWidth; col++) {
+                mask[row * dimension + col] = 1;
+            }
+        }
+    };
+
+    setRegion(0, 0, 9, 9);
+    setRegion(dimension - 8, 0, 8, 9);
+    setRegion(0, dimension - 8, 9, 8);
+
+    const alignment = QR_VERSIONS[version].alignment;
+    const last = alignment.length - 1;
+    alignment.forEach((rowCenter, rowIndex) => {
+        alignment.forEach((colCenter, colIndex) => {
+            const overlapsFinder = (rowIndex === 0 && (colIndex === 0 || colIndex === last)) ||
+                (rowIndex === last && colIndex === 0);
+            if (!overlapsFinder) {
+                setRegion(colCenter - 2, rowCenter - 2, 5, 5);
+            }
+        });
+    });
+
+    setRegion(6, 9, 1, dimension - 17);
+    setRegion(9, 6, dimension - 17, 1);
+
+    if (version >= 7) {
+        setRegion(dimension - 11, 0, 3, 6);
+        setRegion(0, dimension - 11, 6, 3);
+    }
+
+    return mask;
+}
+
+// De-interleave the codeword stream, correct each block and return the data codewords
+function correctBlocks(codewords, ecInfo) {
+    const [ecPerBlock, firstCount, firstData, secondCount = 0, secondData = 0] = ecInfo;
+    const blocks = [];
+
+    for (let i = 0; i < firstCount; i++) {
+        blocks.push({ dataCount: firstData, codewords: [] });
+    }
+    for (let i = 0; i < secondCount; i++) {
+        blocks.push({ dataCount: secondData, codewords: [] });
+    }
+
+    const totalCodewords = blocks.reduce((sum, block) => sum + block.dataCount + ecPerBlock, 0);
+    if (codewords.length < totalCodewords) {
+        return null;
+    }
+
+    let offset = 0;
+    const longestData = Math.max(firstData, secondData);
+    for (let i = 0; i < longestData; i++) {
+        for (const block of blocks) {
+            if (i < block.dataCount) {
+                block.codewords.push(codewords[offset++]);
+            }
+        }
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        for (const block of blocks) {
+            block.codewords.push(codewords[offset++]);
+        }
+    }
+
+    const data = [];
+    for (const block of blocks) {
+        if (!correctErrors(block.codewords, ecPerBlock)) {
+            return null;
+        }
+        data.push(...block.codewords.slice(0, block.dataCount));
+    }
+
+    return data;
+}
+
+function gfDivide(a, b) {
+    return a ? GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255] : 0;
+}
+
+function gfPower(value, exponent) {
+    if (exponent === 0) {
+        return 1;
+    }
+    return value ? GF_EXP[(GF_LOG[value] * exponent) % 255] : 0;
+}
+
+// Alpha raised to a possibly negative power
+function gfAlpha(exponent) {
+    return GF_EXP[((exponent % 255) + 255) % 255];
+}
+
+// Evaluate a polynomial stored lowest degree first
+function evaluatePolynomial(coefficients, x) {
+    let value = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        value = gfMultiply(value, x) ^ coefficients[i];
+    }
+    return value;
+}
+
+function syndromes(codewords, ecCount) {
+    const result = [];
+    for (let j = 0; j < ecCount; j++) {
+        const x = GF_EXP[j];
+        let value = 0;
+        for (const codeword of codewords) {
+            value = gfMultiply(value, x) ^ codeword;
+        }
+        result.push(value);
+    }
+    return result;
+}
+
+/**
+ * Reed-Solomon correction in place (Berlekamp-Massey, Chien search, Forney).
+ * codewords[0] is the highest-degree coefficient. Returns false if uncorrectable.
+ */
+function correctErrors(codewords, ecCount) {
+    const syndrome = syndromes(codewords, ecCount);
+    if (syndrome.every(value => value === 0)) {
+        return true;
+    }
+
+    let locator = [1];
+    let previous = [1];
+    let errorCount = 0;
+    let gap = 1;
+    let previousDiscrepancy = 1;
+
+    for (let k = 0; k < ecCount; k++) {
+        let discrepancy = syndrome[k];
+        for (let i = 1; i <= errorCount; i++) {
+            discrepancy ^= gfMultiply(locator[i] || 0, syndrome[k - i]);
+        }
+        if (discrepancy === 0) {
+            gap++;
+            continue;
+        }
+
+        const scale = gfDivide(discrepancy, previousDiscrepancy);
+        const next = locator.slice();
+        for (let i = 0; i < previous.length; i++) {
+            next[i + gap] = (next[i + gap] || 0) ^ gfMultiply(scale, previous[i]);
+        }
+
+        if (2 * errorCount <= k) {
+            previous = locator;
+            errorCount = k + 1 - errorCount;
+            previousDiscrepancy = discrepancy;
+            gap = 1;
+        } else {
+            gap++;
+        }
+        locator = Array.from(next, coefficient => coefficient || 0);
+    }
+
+    if (2 * errorCount > ecCount) {
+        return false;
+    }
+
+    const n = codewords.length;
+    const positions = [];
+    for (let power = 0; power < n; power++) {
+        if (evaluatePolynomial(locator, gfAlpha(-power)) === 0) {
+            positions.push(power);
+        }
+    }
+    if (positions.length !== errorCount) {
+        return false;
+    }
+
+    const evaluator = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+        for (let j = 0; j < locator.length && i + j < ecCount; j++) {
+            evaluator[i + j] ^= gfMultiply(syndrome[i], locator[j]);
+        }
+    }
+
+    for (const power of positions) {
+        const inverse = gfAlpha(-power);
+        let derivative = 0;
+        for (let i = 1; i < locator.length; i += 2) {
+            derivative ^= gfMultiply(locator[i], gfPower(inverse, i - 1));
+        }
+        if (!derivative) {
+            return false;
+        }
+        const magnitude = gfMultiply(gfAlpha(power), gfDivide(evaluatePolynomial(evaluator, inverse), derivative));
+        codewords[n - 1 - power] ^= magnitude;
+    }
+
+    return syndromes(codewords, ecCount).every(value => value === 0);
+}
+
+function createBitReader(bytes) {
+    let offset = 0;
+
+    return {
+        available: () => bytes.length * 8 - offset,
+        read(count) {
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                const bit = (bytes[offset >> 3] >> (7 - (offset & 7))) & 1;
+                value = (value << 1) | bit;
+                offset++;
+            }
+            return value;
+        }
+    };
+}
+
+function decodeBytes(bytes) {
+    // UTF-8 when valid, otherwise ISO-8859-1 as the QR default
+    try {
+        return decodeURIComponent(bytes.map(byte => '%' + byte.toString(16).padStart(2, '0')).join(''));
+    } catch {
+        return String.fromCharCode(...bytes);
+    }
+}
+
+// Numeric, alphanumeric and byte segments; returns null on anything else
+function parseSegments(data, version) {
+    const reader = createBitReader(data);
+    const large = version >= 10;
+    let text = '';
+
+    while (reader.available() >= 4) {
+        const mode = reader.read(4);
+
+        if (mode === 0) {
+            break;
+        }
+
+        if (mode === 7) {
+            // ECI designator - skip it and keep reading
+            const first = reader.read(8);
+            if ((first & 0xc0) === 0x80) {
+                reader.read(8);
+            } else if ((first & 0xe0) === 0xc0) {
+                reader.read(16);
+            }
+            continue;
+        }
+
+        if (mode === 1) {
+            let count = reader.read(large ? 12 : 10);
+            while (count >= 3) {
+                const value = reader.read(10);
+                if (value > 999) {
+                    return null;
+                }
+                text += String(value).padStart(3, '0');
+                count -= 3;
+            }
+            if (count === 2) {
+                const value = reader.read(7);
+                if (value > 99) {
+                    return null;
+                }
+                text += String(value).padStart(2, '0');
+            } else if (count === 1) {
+                const value = reader.read(4);
+                if (value > 9) {
+                    return null;
+                }
+                text += value;
+            }
+        } else if (mode === 2) {
+            let count = reader.read(large ? 11 : 9);
+            while (count >= 2) {
+                const value = reader.read(11);
+                if (value >= 45 * 45) {
+                    return null;
+                }
+                text += ALPHANUMERIC_CHARS[Math.floor(value / 45)] + ALPHANUMERIC_CHARS[value % 45];
+                count -= 2;
+            }
+            if (count === 1) {
+                const value = reader.read(6);
+                if (value >= 45) {
+                    return null;
+                }
+                text += ALPHANUMERIC_CHARS[value];
+            }
+        } else if (mode === 4) {
+            const count = reader.read(large ? 16 : 8);
+            if (reader.available() < count * 8) {
+                return null;
+            }
+            const bytes = [];
+            for (let i = 0; i < count; i++) {
+                bytes.push(reader.read(8));
+            }
+            text += decodeBytes(bytes);
+        } else {
+            return null;
+        }
+    }
+
+    return text;
+}
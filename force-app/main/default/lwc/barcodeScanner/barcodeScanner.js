@@ -1,10 +1,67 @@
 import { LightningElement, track, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
 
 // Apex imports
-import processBarcodeAction from '@salesforce/apex/BarcodeScannerController.processBarcodeAction';
+import processBranchScan from '@salesforce/apex/BarcodeScannerController.processBranchScan';
+import processReturnAtBranch from '@salesforce/apex/BarcodeScannerController.processReturnAtBranch';
+import processBranchBulkScan from '@salesforce/apex/BarcodeScannerController.processBranchBulkScan';
 import getMyCheckedOutItems from '@salesforce/apex/BarcodeScannerController.getMyCheckedOutItems';
+import searchPatrons from '@salesforce/apex/BarcodeScannerController.searchPatrons';
+import getPatronSummary from '@salesforce/apex/BarcodeScannerController.getPatronSummary';
+import getFinesForBorrower from '@salesforce/apex/FineService.getFinesForBorrower';
+import payFine from '@salesforce/apex/FineService.payFine';
+import waiveFine from '@salesforce/apex/FineService.waiveFine';
+import chargeFee from '@salesforce/apex/FineService.chargeFee';
+import isLibrarian from '@salesforce/apex/LibraryPermissionHelper.isLibrarian';
+import getStocktakeLocations from '@salesforce/apex/StocktakeService.getStocktakeLocations';
+import reconcileLocation from '@salesforce/apex/StocktakeService.reconcileLocation';
+import moveItemsToLocation from '@salesforce/apex/StocktakeService.moveItemsToLocation';
+import markItemsLost from '@salesforce/apex/StocktakeService.markItemsLost';
+import getBranches from '@salesforce/apex/LibraryBranchService.getBranches';
 import Id from '@salesforce/user/Id';
+import {
+    MAX_ATTEMPTS,
+    QUEUE_STATES,
+    loadQueue,
+    saveQueue,
+    createEntry,
+    retryDelay,
+    isConnectionError,
+    pruneSent,
+    decorateEntry
+} from './scanQueue';
+import { decodeImageData } from './barcodeDecoder';
+import {
+    createSession,
+    loadSession,
+    saveSession,
+    hasBarcode,
+    decorateReport
+} from './stocktake';
+import { loadDeskBranch, saveDeskBranch, resolveDeskBranch } from './deskBranch';
+import {
+    RETURN_CONDITION_OPTIONS,
+    CAUSE_OPTIONS,
+    createAssessment,
+    updateAssessment,
+    toApexAssessment
+} from 'c/conditionAssessment';
+import { ITEM_ACTIONS, subscribeToItemChanges, unsubscribeFromItemChanges } from 'c/libraryEvents';
+
+// Camera capture tuning
+const FRAME_INTERVAL = 250;
+const MAX_FRAME_DIMENSION = 640;
+const MAX_PHOTO_DIMENSION = 1280;
+const REPEAT_SCAN_WINDOW = 2500;
+
+// Barcodes per bulk submit call - BarcodeScannerController.MAX_BULK_SCAN_SIZE rejects larger lists
+const BULK_CHUNK_SIZE = 8;
+
+const FEE_TYPE_OPTIONS = [
+    { label: 'Lost', value: 'Lost' },
+    { label: 'Damaged', value: 'Damaged' }
+];
 
 export default class BarcodeScanner extends LightningElement {
     // Configuration properties
@@ -18,11 +75,52 @@ export default class BarcodeScanner extends LightningElement {
     // Component state
     @track currentBarcode = '';
     @track currentMode = 'checkout';
-    @track processingQueue = [];
+    @track scanQueue = [];
     @track recentHistory = [];
     @track lastResult = null;
     @track myItems = [];
     
+    // Bulk session state
+    @track isBulkMode = false;
+    @track stagedScans = [];
+    @track bulkResults = null;
+    
+    // Patron session state (librarians checking out for a borrower)
+    @track isPatronSession = false;
+    @track patron = null;
+    @track patronMatches = [];
+    isLibrarianUser = false;
+    
+    // Patron fines ledger (librarians taking payment, waiving and charging fees at the desk)
+    @track patronFines = [];
+    @track waiveDraft = null;
+    @track feeDraft = null;
+    isUpdatingFines = false;
+    wiredPatronFinesResult;
+    
+    // Stocktake state (librarians auditing a shelf against the catalog)
+    @track isStocktakeMode = false;
+    @track stocktake = null;
+    @track stocktakeLocations = [];
+    @track stocktakeLocation = '';
+    @track stocktakeReport = null;
+    @track isReconciling = false;
+    @track isFixingStocktake = false;
+    
+    // Condition check state (librarians assessing each return before it is processed)
+    @track isConditionCheck = false;
+    @track pendingReturn = null;
+    
+    // Desk branch (librarians) - returns away from an item's home branch start a transfer home
+    @track branches = [];
+    @track deskBranchId = '';
+    
+    // Camera capture state
+    @track isCameraActive = false;
+    cameraStream;
+    lastFrameScanAt = 0;
+    lastDecoded;
+    
     // Statistics
     successCount = 0;
     errorCount = 0;
@@ -30,8 +128,11 @@ export default class BarcodeScanner extends LightningElement {
     
     // State flags
     isProcessing = false;
+    isOffline = false;
+    isSubmittingBulk = false;
     lastScanSuccess = false;
     lastScanError = false;
+    itemSubscription = null;
 
     // Wire service (optional)
     @wire(getMyCheckedOutItems)
@@ -41,16 +142,101 @@ export default class BarcodeScanner extends LightningElement {
         }
     }
 
+    @wire(getFinesForBorrower, { borrowerId: '$patron.patronId' })
+    wiredPatronFines(result) {
+        this.wiredPatronFinesResult = result;
+        if (result.data) {
+            this.patronFines = result.data.map(fine => this.decorateFine(fine));
+        } else if (result.error) {
+            this.patronFines = [];
+        }
+    }
+
+    @wire(isLibrarian)
+    wiredLibrarian({ data }) {
+        this.isLibrarianUser = data === true;
+    }
+
+    @wire(getBranches)
+    wiredBranches({ data }) {
+        if (data) {
+            this.branches = data;
+            this.deskBranchId = resolveDeskBranch(loadDeskBranch(Id), data);
+        }
+    }
+
     connectedCallback() {
         // Set defaults
         if (this.defaultAction) {
             this.currentMode = this.defaultAction;
         }
+        this.isBulkMode = this.enableBulkMode === true || this.enableBulkMode === 'true';
+        
+        // Resume an unfinished stocktake
+        this.stocktake = loadSession(Id);
+        if (this.stocktake) {
+            this.isStocktakeMode = true;
+            this.isBulkMode = false;
+        }
+        
+        // Restore scans queued before a reload and resume processing
+        this.scanQueue = loadQueue(Id);
+        this.handleOnline = () => this.retryNow();
+        window.addEventListener('online', this.handleOnline);
+        this.drainQueue();
+        
+        // Keep My Items current when items are checked out, renewed or returned elsewhere
+        this.subscribeToLiveUpdates();
         
         // Don't call focusInput here - component isn't rendered yet
     }
 
+    disconnectedCallback() {
+        window.removeEventListener('online', this.handleOnline);
+        this.stopCamera();
+        unsubscribeFromItemChanges(this.itemSubscription);
+        this.itemSubscription = null;
+    }
+
+    async subscribeToLiveUpdates() {
+        this.itemSubscription = await subscribeToItemChanges(change => this.applyItemChange(change));
+    }
+
+    // Add, update or drop the My Items entry for an item depending on who has it now
+    applyItemChange(change) {
+        const existing = this.myItems.find(item => item.barcode === change.barcode);
+
+        if (change.borrowerId !== Id) {
+            if (existing) {
+                this.myItems = this.myItems.filter(item => item !== existing);
+            }
+            return;
+        }
+
+        // A renewal resets an Overdue loan
+        const status = change.status === 'Overdue' && change.action !== ITEM_ACTIONS.RENEW ? 'Overdue' : 'Checked Out';
+        const entry = {
+            ...existing,
+            recordId: change.recordId,
+            itemName: change.itemName,
+            barcode: change.barcode,
+            itemType: change.itemType,
+            checkoutDate: existing ? existing.checkoutDate : change.changedAt,
+            dueDate: change.dueDate,
+            status: status,
+            isOverdue: status === 'Overdue',
+            canRenew: existing ? existing.canRenew : false
+        };
+        this.myItems = existing ?
+            this.myItems.map(item => (item === existing ? entry : item)) :
+            [...this.myItems, entry];
+    }
+
     renderedCallback() {
+        if (this.isCameraActive) {
+            this.attachCameraStream();
+        }
+        
         // Focus input after render
         // Use defensive check to ensure element exists
         const input = this.template.querySelector('#barcode-input');
@@ -84,36 +270,73 @@ export default class BarcodeScanner extends LightningElement {
         }
     }
 
-    async processScannedBarcode(barcode) {
+    processScannedBarcode(barcode) {
+        // The first scan of a patron session identifies the borrower
+        if (this.isAwaitingPatron) {
+            this.lookupPatron(barcode);
+            return;
+        }
+        
+        if (this.isStocktakeMode) {
+            this.recordStocktakeScan(barcode);
+            return;
+        }
+        
+        if (this.isBulkMode) {
+            this.stageBarcode(barcode);
+            return;
+        }
+        
+        if (this.isConditionCheck && this.currentMode === 'return') {
+            this.holdForConditionCheck(barcode);
+            return;
+        }
+        
+        // Every scan is queued so nothing is lost while a previous scan is in flight
+        const entry = createEntry(barcode, this.currentMode, this.borrowerId, this.deskBranchId);
+        this.updateQueue([...this.scanQueue, entry]);
+        this.drainQueue();
+    }
+
+    // Process pending scans one at a time, in the order they were scanned. A scan waiting out its
+    // backoff is retried by the next scan, the browser coming back online or Retry Now
+    async drainQueue() {
         if (this.isProcessing) {
-            return; // Prevent concurrent processing
+            return;
         }
         
-        // Add to queue for visual feedback
-        const queueItem = {
-            id: Date.now(),
-            barcode: barcode
-        };
-        this.processingQueue = [...this.processingQueue, queueItem];
+        const entry = this.scanQueue.find(item => item.state === QUEUE_STATES.PENDING);
+        if (!entry) {
+            return;
+        }
+        
+        if (entry.nextAttemptAt > Date.now()) {
+            return;
+        }
         
         this.isProcessing = true;
         this.lastScanSuccess = false;
         this.lastScanError = false;
         
+        // Only the server call is guarded - a failure handling its result must not count as a lost connection
+        let result;
+        let failure;
         try {
-            const result = await processBarcodeAction({
-                barcode: barcode,
-                action: this.currentMode,
-                userId: Id
-            });
-            
-            this.handleScanSuccess(result, barcode);
-            
+            result = entry.assessment ?
+                await processReturnAtBranch({
+                    barcode: entry.barcode,
+                    assessment: entry.assessment,
+                    branchId: entry.branchId
+                }) :
+                await processBranchScan({
+                    barcode: entry.barcode,
+                    action: entry.action,
+                    userId: entry.userId,
+                    branchId: entry.branchId
+                });
         } catch (error) {
-            this.handleScanError(error, barcode);
+            failure = error;
         } finally {
-            // Remove from queue
-            this.processingQueue = this.processingQueue.filter(item => item.id !== queueItem.id);
             this.isProcessing = false;
             
             // Refocus for next scan
@@ -124,6 +347,708 @@ export default class BarcodeScanner extends LightningElement {
                 }
             }, 100);
         }
+        
+        if (failure) {
+            const attempts = entry.attempts + 1;
+            
+            if (isConnectionError(failure) && attempts < MAX_ATTEMPTS) {
+                // Keep the scan at the head of the queue and back off before retrying
+                this.isOffline = true;
+                this.updateEntry(entry.id, {
+                    attempts: attempts,
+                    nextAttemptAt: Date.now() + retryDelay(attempts),
+                    message: `Connection lost - retry ${attempts} of ${MAX_ATTEMPTS - 1}`
+                });
+                return;
+            }
+            
+            this.updateEntry(entry.id, {
+                state: QUEUE_STATES.FAILED,
+                attempts: attempts,
+                message: failure.body?.message || 'Processing error'
+            });
+            this.handleScanError(failure, entry.barcode);
+        } else {
+            this.isOffline = false;
+            this.updateEntry(entry.id, {
+                state: result.success ? QUEUE_STATES.SENT : QUEUE_STATES.CONFLICT,
+                message: result.message || ''
+            });
+            this.handleScanSuccess(result, entry.barcode);
+            
+            if (result.success && this.patron && entry.userId === this.patron.patronId) {
+                this.refreshPatron();
+            }
+        }
+        
+        this.drainQueue();
+    }
+
+    // Connection restored, or the user asked - retry the head of the queue immediately
+    retryNow() {
+        this.updateQueue(this.scanQueue.map(item => (
+            item.state === QUEUE_STATES.PENDING ? { ...item, nextAttemptAt: 0 } : item
+        )));
+        this.drainQueue();
+    }
+
+    updateEntry(entryId, changes) {
+        this.updateQueue(this.scanQueue.map(item => (
+            item.id === entryId ? { ...item, ...changes } : item
+        )));
+    }
+
+    updateQueue(entries) {
+        this.scanQueue = pruneSent(entries);
+        saveQueue(Id, this.scanQueue);
+    }
+
+    handleResubmit(event) {
+        const entryId = event.currentTarget.dataset.id;
+        this.updateEntry(entryId, {
+            state: QUEUE_STATES.PENDING,
+            attempts: 0,
+            nextAttemptAt: 0,
+            message: ''
+        });
+        this.drainQueue();
+    }
+
+    handleDiscard(event) {
+        const entryId = event.currentTarget.dataset.id;
+        this.updateQueue(this.scanQueue.filter(item => item.id !== entryId));
+    }
+
+    clearSentScans() {
+        this.updateQueue(this.scanQueue.filter(item => item.state !== QUEUE_STATES.SENT));
+    }
+
+    // PATRON SESSION
+
+    togglePatronSession() {
+        if (this.isPatronSession) {
+            this.endPatronSession();
+            return;
+        }
+        
+        this.isPatronSession = true;
+        this.isStocktakeMode = false;
+        this.patron = null;
+        this.patronMatches = [];
+        this.setCheckoutMode();
+    }
+
+    endPatronSession() {
+        this.isPatronSession = false;
+        this.patron = null;
+        this.patronMatches = [];
+        this.clearFineDrafts();
+    }
+
+    changePatron() {
+        this.patron = null;
+        this.patronMatches = [];
+        this.clearFineDrafts();
+    }
+
+    async lookupPatron(searchTerm) {
+        try {
+            const matches = await searchPatrons({ searchTerm: searchTerm });
+            
+            if (matches.length === 1) {
+                await this.selectPatron(matches[0].Id);
+            } else if (matches.length === 0) {
+                this.playErrorBeep();
+                this.showToast('No Borrower Found', `No borrower matches "${searchTerm}"`, 'warning');
+            } else {
+                this.patronMatches = matches;
+            }
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Borrower lookup failed', 'error');
+        }
+    }
+
+    handleSelectPatron(event) {
+        this.selectPatron(event.currentTarget.dataset.id);
+    }
+
+    async selectPatron(patronId) {
+        try {
+            const summary = await getPatronSummary({ patronId: patronId });
+            this.patron = this.decoratePatron(summary);
+            this.patronMatches = [];
+            this.playSuccessBeep();
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Could not load borrower', 'error');
+        }
+    }
+
+    async refreshPatron() {
+        if (!this.patron) {
+            return;
+        }
+        
+        try {
+            const summary = await getPatronSummary({ patronId: this.patron.patronId });
+            this.patron = this.decoratePatron(summary);
+            await refreshApex(this.wiredPatronFinesResult);
+        } catch {
+            // Keep showing the last loaded summary
+        }
+    }
+
+    decoratePatron(summary) {
+        return {
+            ...summary,
+            hasLoans: summary.loanCount > 0,
+            hasOverdue: summary.overdueCount > 0,
+            loanLabel: summary.maxTotalItems ?
+                `${summary.loanCount} of ${summary.maxTotalItems} items on loan` :
+                `${summary.loanCount} item(s) on loan`,
+            loans: summary.loans.map(loan => ({
+                ...loan,
+                rowClass: loan.isOverdue ? 'patron-loan slds-text-color_error' : 'patron-loan'
+            })),
+            limits: summary.limits.map(loanLimit => ({
+                ...loanLimit,
+                label: `${loanLimit.itemType}: ${loanLimit.currentCount} / ${loanLimit.maxItems}`,
+                badgeClass: loanLimit.atLimit ? 'slds-badge slds-theme_error' : 'slds-badge'
+            }))
+        };
+    }
+
+    // PATRON FINES
+
+    decorateFine(fine) {
+        const item = fine.Library_Item__r || {};
+        return {
+            id: fine.Id,
+            fineType: fine.Fine_Type__c,
+            amount: fine.Amount__c,
+            status: fine.Status__c,
+            assessedDate: fine.Assessed_Date__c,
+            itemName: item.Item_Name__c,
+            barcode: item.Barcode__c,
+            isOutstanding: fine.Status__c === 'Outstanding',
+            statusClass: fine.Status__c === 'Outstanding' ? 'slds-badge slds-theme_error' : 'slds-badge'
+        };
+    }
+
+    handlePayFine(event) {
+        const fineId = event.currentTarget.dataset.id;
+        this.runFineAction(() => payFine({ fineId: fineId }));
+    }
+
+    handleStartWaive(event) {
+        this.feeDraft = null;
+        this.waiveDraft = { fineId: event.currentTarget.dataset.id, reason: '' };
+    }
+
+    handleWaiveReasonChange(event) {
+        this.waiveDraft = { ...this.waiveDraft, reason: event.detail.value };
+    }
+
+    handleConfirmWaive() {
+        const draft = this.waiveDraft;
+        this.runFineAction(() => waiveFine({ fineId: draft.fineId, reason: draft.reason }));
+    }
+
+    handleStartFee(event) {
+        const recordId = event.currentTarget.dataset.id;
+        const loan = this.patron.loans.find(entry => entry.recordId === recordId);
+        this.waiveDraft = null;
+        this.feeDraft = {
+            recordId: recordId,
+            itemName: loan ? loan.itemName : '',
+            fineType: 'Lost',
+            amount: null,
+            notes: ''
+        };
+    }
+
+    handleFeeFieldChange(event) {
+        this.feeDraft = { ...this.feeDraft, [event.target.dataset.field]: event.detail.value };
+    }
+
+    handleChargeFee() {
+        const draft = this.feeDraft;
+        this.runFineAction(() => chargeFee({
+            borrowingRecordId: draft.recordId,
+            fineType: draft.fineType,
+            // A blank Lost fee falls back to the borrower's configured lost item fee
+            amount: draft.amount ? Number(draft.amount) : null,
+            notes: draft.notes
+        }));
+    }
+
+    clearFineDrafts() {
+        this.waiveDraft = null;
+        this.feeDraft = null;
+    }
+
+    async runFineAction(action) {
+        let result;
+        this.isUpdatingFines = true;
+        try {
+            result = await action();
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Fine update failed', 'error');
+            return;
+        } finally {
+            this.isUpdatingFines = false;
+        }
+
+        if (!result.isSuccess) {
+            this.showToast('Fine Not Updated', result.message, 'error');
+            return;
+        }
+        this.showToast('Fines Updated', result.message, 'success');
+        this.clearFineDrafts();
+        await this.refreshPatron();
+    }
+
+    // CONDITION CHECK
+
+    toggleConditionCheck() {
+        if (this.isConditionCheck) {
+            this.endConditionCheck();
+            return;
+        }
+        
+        this.isConditionCheck = true;
+        this.isBulkMode = false;
+        this.isStocktakeMode = false;
+        this.setReturnMode();
+    }
+
+    endConditionCheck() {
+        this.isConditionCheck = false;
+        this.pendingReturn = null;
+    }
+
+    // The scan waits here until its condition is recorded, then joins the queue like any other
+    holdForConditionCheck(barcode) {
+        if (this.pendingReturn) {
+            this.playErrorBeep();
+            this.showToast('Condition Check Pending', `Finish the condition check for ${this.pendingReturn.barcode} first`, 'warning');
+            return;
+        }
+        
+        this.pendingReturn = { barcode: barcode, assessment: createAssessment() };
+    }
+
+    handleConditionChange(event) {
+        this.pendingReturn = {
+            ...this.pendingReturn,
+            assessment: updateAssessment(this.pendingReturn.assessment, event)
+        };
+    }
+
+    submitConditionReturn() {
+        if (!this.pendingReturn) {
+            return;
+        }
+        
+        const entry = {
+            ...createEntry(this.pendingReturn.barcode, 'return', this.borrowerId, this.deskBranchId),
+            assessment: toApexAssessment(this.pendingReturn.assessment)
+        };
+        this.pendingReturn = null;
+        this.updateQueue([...this.scanQueue, entry]);
+        this.drainQueue();
+    }
+
+    cancelConditionReturn() {
+        this.pendingReturn = null;
+        this.clearForm();
+    }
+
+    // STOCKTAKE
+
+    toggleStocktakeMode() {
+        if (this.isStocktakeMode) {
+            // The session stays saved so the audit can be picked up again later
+            this.isStocktakeMode = false;
+            return;
+        }
+        
+        this.isStocktakeMode = true;
+        this.isBulkMode = false;
+        this.endConditionCheck();
+        this.endPatronSession();
+        if (!this.stocktake) {
+            this.loadStocktakeLocations();
+        }
+    }
+
+    async loadStocktakeLocations() {
+        try {
+            this.stocktakeLocations = await getStocktakeLocations();
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Could not load locations', 'error');
+        }
+    }
+
+    handleStocktakeLocationChange(event) {
+        this.stocktakeLocation = event.detail.value;
+    }
+
+    startStocktake() {
+        if (!this.stocktakeLocation) {
+            return;
+        }
+        this.stocktake = createSession(this.stocktakeLocation);
+        this.stocktakeReport = null;
+        saveSession(Id, this.stocktake);
+    }
+
+    recordStocktakeScan(barcode) {
+        if (!this.stocktake) {
+            this.playErrorBeep();
+            this.showToast('Choose a Location', 'Pick the location being audited before scanning', 'warning');
+            return;
+        }
+        
+        if (hasBarcode(this.stocktake, barcode)) {
+            this.playErrorBeep();
+            this.showToast('Duplicate Scan', `${barcode} has already been counted`, 'warning');
+            return;
+        }
+        
+        this.updateStocktake([...this.stocktake.barcodes, barcode]);
+        this.playSuccessBeep();
+    }
+
+    handleRemoveStocktakeScan(event) {
+        const barcode = event.currentTarget.dataset.barcode;
+        this.updateStocktake(this.stocktake.barcodes.filter(scanned => scanned !== barcode));
+    }
+
+    // Any change to the scans makes the last report stale
+    updateStocktake(barcodes) {
+        this.stocktake = { ...this.stocktake, barcodes: barcodes };
+        this.stocktakeReport = null;
+        saveSession(Id, this.stocktake);
+    }
+
+    discardStocktake() {
+        this.stocktake = null;
+        this.stocktakeReport = null;
+        this.stocktakeLocation = '';
+        saveSession(Id, null);
+        this.loadStocktakeLocations();
+    }
+
+    async reconcileStocktake() {
+        this.isReconciling = true;
+        
+        try {
+            const report = await reconcileLocation({
+                location: this.stocktake.location,
+                scannedBarcodes: this.stocktake.barcodes
+            });
+            this.stocktakeReport = decorateReport(report);
+        } catch (error) {
+            this.showToast('Error', 'Reconciliation failed: ' + (error.body?.message || 'connection error'), 'error');
+        } finally {
+            this.isReconciling = false;
+        }
+    }
+
+    handleMoveItem(event) {
+        this.applyStocktakeFix('move', [event.currentTarget.dataset.id]);
+    }
+
+    handleMoveAllItems() {
+        this.applyStocktakeFix('move', this.stocktakeReport.misplacedItems.map(item => item.itemId));
+    }
+
+    handleMarkLost(event) {
+        this.applyStocktakeFix('lost', [event.currentTarget.dataset.id]);
+    }
+
+    handleMarkAllLost() {
+        this.applyStocktakeFix('lost', this.stocktakeReport.missingItems.map(item => item.itemId));
+    }
+
+    async applyStocktakeFix(fix, itemIds) {
+        this.isFixingStocktake = true;
+        
+        try {
+            const result = fix === 'lost' ?
+                await markItemsLost({ itemIds: itemIds }) :
+                await moveItemsToLocation({ itemIds: itemIds, location: this.stocktake.location });
+            
+            if (result.isSuccess) {
+                this.showToast('Stocktake', result.message, 'success');
+                await this.reconcileStocktake();
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Update failed', 'error');
+        } finally {
+            this.isFixingStocktake = false;
+        }
+    }
+
+    // CAMERA CAPTURE
+
+    toggleCamera() {
+        if (this.isCameraActive) {
+            this.stopCamera();
+        } else {
+            this.startCamera();
+        }
+    }
+
+    async startCamera() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.showToast('Camera Unavailable', 'This browser cannot access a camera - scan from a photo instead', 'warning');
+            return;
+        }
+        
+        try {
+            this.cameraStream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+            this.lastDecoded = null;
+            this.isCameraActive = true;
+        } catch (error) {
+            this.showToast('Camera Unavailable', error.message || 'Camera access was denied', 'error');
+        }
+    }
+
+    stopCamera() {
+        if (this.cameraStream) {
+            this.cameraStream.getTracks().forEach(mediaTrack => mediaTrack.stop());
+            this.cameraStream = null;
+        }
+        this.isCameraActive = false;
+    }
+
+    // The video element only exists once the camera panel has rendered
+    attachCameraStream() {
+        const video = this.template.querySelector('video.camera-preview');
+        if (!video || !this.cameraStream || video.srcObject === this.cameraStream) {
+            return;
+        }
+        
+        video.srcObject = this.cameraStream;
+        video.play().catch(() => {
+            // Autoplay blocked - the preview starts when the user taps it
+        });
+    }
+
+    // The preview's timeupdate events pace decoding while it plays - at most one frame per FRAME_INTERVAL
+    handleVideoFrame(event) {
+        const now = Date.now();
+        if (!this.isCameraActive || now - this.lastFrameScanAt < FRAME_INTERVAL) {
+            return;
+        }
+        this.lastFrameScanAt = now;
+        
+        const video = event.target;
+        if (video.videoWidth) {
+            const frame = this.captureImageData(video, video.videoWidth, video.videoHeight, MAX_FRAME_DIMENSION);
+            const result = decodeImageData(frame);
+            if (result) {
+                this.handleDecodedBarcode(result.text);
+            }
+        }
+    }
+
+    handleDecodedBarcode(barcode) {
+        // The same code stays in view for several frames - only scan it once
+        const now = Date.now();
+        if (this.lastDecoded && this.lastDecoded.barcode === barcode &&
+            now - this.lastDecoded.time < REPEAT_SCAN_WINDOW) {
+            this.lastDecoded.time = now;
+            return;
+        }
+        
+        this.lastDecoded = { barcode: barcode, time: now };
+        this.processScannedBarcode(barcode);
+    }
+
+    async handleImageUpload(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const image = await this.loadImage(file);
+            const result = decodeImageData(this.captureImageData(image, image.width, image.height, MAX_PHOTO_DIMENSION));
+            
+            if (result) {
+                this.processScannedBarcode(result.text);
+            } else {
+                this.playErrorBeep();
+                this.showToast('No Barcode Found', `Could not read a barcode from ${file.name}`, 'warning');
+            }
+        } catch {
+            this.showToast('Error', `Could not open ${file.name}`, 'error');
+        }
+    }
+
+    loadImage(file) {
+        if (window.createImageBitmap) {
+            return window.createImageBitmap(file);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = reject;
+            image.src = url;
+        });
+    }
+
+    // Draw a video frame or image onto the hidden canvas, downscaled for decoding speed
+    captureImageData(source, width, height, maxDimension) {
+        const scale = Math.min(1, maxDimension / Math.max(width, height));
+        const canvas = this.template.querySelector('canvas.decode-canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // BULK SESSION
+
+    stageBarcode(barcode) {
+        if (this.stagedScans.some(scan => scan.barcode === barcode)) {
+            this.playErrorBeep();
+            this.showToast('Duplicate Scan', `${barcode} is already in the staging list`, 'warning');
+            return;
+        }
+        
+        this.stagedScans = [...this.stagedScans, {
+            id: `${Date.now()}-${barcode}`,
+            barcode: barcode,
+            time: new Date().toLocaleTimeString()
+        }];
+        this.bulkResults = null;
+        this.playSuccessBeep();
+    }
+
+    handleRemoveStaged(event) {
+        const scanId = event.currentTarget.dataset.id;
+        this.stagedScans = this.stagedScans.filter(scan => scan.id !== scanId);
+    }
+
+    clearStaged() {
+        this.stagedScans = [];
+    }
+
+    toggleBulkMode() {
+        this.isBulkMode = !this.isBulkMode;
+        this.bulkResults = null;
+        if (this.isBulkMode) {
+            this.isStocktakeMode = false;
+            this.endConditionCheck();
+        }
+        const input = this.template.querySelector('#barcode-input');
+        if (input) {
+            input.focus();
+        }
+    }
+
+    async submitBulk() {
+        if (!this.hasStagedScans) {
+            return;
+        }
+        
+        this.isSubmittingBulk = true;
+        const barcodes = this.stagedScans.map(scan => scan.barcode);
+        const results = [];
+        let failure;
+        
+        try {
+            await this.sendBulkChunks(barcodes, 0, results);
+        } catch (error) {
+            failure = error;
+        }
+        this.isSubmittingBulk = false;
+        
+        // Keep the unsent part of the staging list so nothing has to be rescanned
+        const sent = new Set(results.map(result => result.barcode));
+        this.stagedScans = this.stagedScans.filter(scan => !sent.has(scan.barcode));
+        if (results.length > 0) {
+            this.showBulkResults(results);
+            this.refreshPatron();
+        }
+        if (failure) {
+            this.showToast('Error', 'Bulk submit failed: ' + (failure.body?.message || 'connection error') +
+                (results.length > 0 ? ` - ${results.length} processed, the rest are still staged` : ''), 'error');
+        }
+    }
+
+    // One call per chunk keeps each server transaction inside its query limits
+    async sendBulkChunks(barcodes, start, results) {
+        if (start >= barcodes.length) {
+            return;
+        }
+        const batch = await processBranchBulkScan({
+            barcodes: barcodes.slice(start, start + BULK_CHUNK_SIZE),
+            action: this.currentMode,
+            userId: this.borrowerId,
+            branchId: this.deskBranchId || null
+        });
+        results.push(...batch.results);
+        await this.sendBulkChunks(barcodes, start + BULK_CHUNK_SIZE, results);
+    }
+
+    showBulkResults(results) {
+        const timestamp = new Date().toLocaleTimeString();
+        const rows = results.map((result, index) => ({
+            key: `${index}-${result.barcode}`,
+            barcode: result.barcode,
+            itemName: result.itemDetails?.itemName || result.barcode,
+            message: result.message,
+            success: result.success,
+            iconName: result.success ? 'utility:success' : 'utility:error',
+            variant: result.success ? 'success' : 'error'
+        }));
+        const successCount = rows.filter(row => row.success).length;
+        const errorCount = rows.length - successCount;
+        
+        this.bulkResults = {
+            totalProcessed: rows.length,
+            successCount: successCount,
+            errorCount: errorCount,
+            rows: rows
+        };
+        
+        this.successCount += successCount;
+        this.errorCount += errorCount;
+        rows.forEach(row => this.addToHistory({
+            id: `${Date.now()}-${row.key}`,
+            barcode: row.barcode,
+            itemName: row.itemName,
+            time: timestamp,
+            success: row.success,
+            iconName: row.iconName,
+            variant: row.variant
+        }));
+        
+        if (errorCount > 0) {
+            this.playErrorBeep();
+            this.showToast('Bulk Submit Finished',
+                `${successCount} succeeded, ${errorCount} failed`, 'warning');
+        } else {
+            this.playSuccessBeep();
+            this.showToast('Bulk Submit Finished',
+                `All ${successCount} items processed`, 'success');
+        }
     }
 
     handleScanSuccess(result, barcode) {
@@ -135,7 +1060,8 @@ export default class BarcodeScanner extends LightningElement {
             message: result.message || 'Processed',
             barcode: barcode,
             timestamp: timestamp,
-            itemName: result.itemDetails?.itemName || barcode
+            itemName: result.itemDetails?.itemName || barcode,
+            holdQueueText: this.formatHoldQueue(result.itemDetails)
         };
         
         // Update counters
@@ -207,6 +1133,15 @@ export default class BarcodeScanner extends LightningElement {
         }, 2000);
     }
 
+    formatHoldQueue(itemDetails) {
+        const queueLength = itemDetails?.holdQueueLength || 0;
+        if (queueLength === 0) {
+            return '';
+        }
+        const myPosition = itemDetails.myHoldPosition;
+        return `Hold queue: ${queueLength} waiting` + (myPosition ? ` (you are #${myPosition})` : '');
+    }
+
     addToHistory(historyItem) {
         const maxItems = this.maxRecentScans ? parseInt(this.maxRecentScans) : 20;
         this.recentHistory = [historyItem, ...this.recentHistory].slice(0, maxItems);
@@ -214,6 +1149,7 @@ export default class BarcodeScanner extends LightningElement {
 
     setCheckoutMode() {
         this.currentMode = 'checkout';
+        this.endConditionCheck();
         // Focus inline instead of calling method
         const input = this.template.querySelector('#barcode-input');
         if (input) {
@@ -230,6 +1166,22 @@ export default class BarcodeScanner extends LightningElement {
         }
     }
 
+    // Scan in items transferred from another branch (librarians only)
+    setReceiveMode() {
+        this.currentMode = 'receive';
+        this.endConditionCheck();
+        this.isStocktakeMode = false;
+        const input = this.template.querySelector('#barcode-input');
+        if (input) {
+            input.focus();
+        }
+    }
+
+    handleDeskBranchChange(event) {
+        this.deskBranchId = event.detail.value;
+        saveDeskBranch(Id, this.deskBranchId);
+    }
+
     clearForm() {
         this.currentBarcode = '';
         const input = this.template.querySelector('#barcode-input');
@@ -283,6 +1235,12 @@ export default class BarcodeScanner extends LightningElement {
 
     // Getters for template
     get currentModeLabel() {
+        if (this.isStocktakeMode) {
+            return 'STOCKTAKE';
+        }
+        if (this.currentMode === 'receive') {
+            return 'RECEIVE';
+        }
         return this.currentMode === 'checkout' ? 'CHECKOUT' : 'RETURN';
     }
 
@@ -294,6 +1252,170 @@ export default class BarcodeScanner extends LightningElement {
         return this.currentMode === 'return' ? 'brand' : 'neutral';
     }
 
+    get isReceiveMode() {
+        return this.currentMode === 'receive' ? 'brand' : 'neutral';
+    }
+
+    get showDeskBranch() {
+        return this.isLibrarianUser && this.branches.length > 0;
+    }
+
+    get deskBranchOptions() {
+        return [
+            { label: 'Not set', value: '' },
+            ...this.branches.map(branch => ({ label: branch.name, value: branch.branchId }))
+        ];
+    }
+
+    get deskBranchName() {
+        const branch = this.branches.find(option => option.branchId === this.deskBranchId);
+        return branch ? branch.name : null;
+    }
+
+    get cameraButtonLabel() {
+        return this.isCameraActive ? 'Stop Camera' : 'Use Camera';
+    }
+
+    get cameraButtonVariant() {
+        return this.isCameraActive ? 'brand' : 'neutral';
+    }
+
+    get bulkModeVariant() {
+        return this.isBulkMode ? 'brand' : 'neutral';
+    }
+
+    get borrowerId() {
+        return this.patron ? this.patron.patronId : Id;
+    }
+
+    get isAwaitingPatron() {
+        return this.isPatronSession && !this.patron;
+    }
+
+    get hasPatronMatches() {
+        return this.patronMatches.length > 0;
+    }
+
+    get patronFineRows() {
+        const waivingId = this.waiveDraft ? this.waiveDraft.fineId : null;
+        return this.patronFines.map(fine => ({
+            ...fine,
+            isWaiving: fine.id === waivingId,
+            canResolve: fine.isOutstanding && fine.id !== waivingId
+        }));
+    }
+
+    get hasPatronFines() {
+        return this.patronFines.length > 0;
+    }
+
+    get feeTypeOptions() {
+        return FEE_TYPE_OPTIONS;
+    }
+
+    get feeAmountPlaceholder() {
+        return this.feeDraft && this.feeDraft.fineType === 'Lost' ? 'Lost item fee for this item type' : '';
+    }
+
+    get disableConfirmWaive() {
+        return this.isUpdatingFines || !this.waiveDraft || !this.waiveDraft.reason.trim();
+    }
+
+    get patronButtonVariant() {
+        return this.isPatronSession ? 'brand' : 'neutral';
+    }
+
+    get scanPlaceholder() {
+        return this.isAwaitingPatron ? 'Scan library card or type a name...' : 'Ready for scan...';
+    }
+
+    get scanInstructions() {
+        if (this.isStocktakeMode) {
+            return this.stocktake ?
+                `Stocktake of ${this.stocktake.location} - scan every item on the shelf, then reconcile` :
+                'Stocktake - choose the location to audit';
+        }
+        if (this.isConditionCheck) {
+            return this.pendingReturn ?
+                `Condition check for ${this.pendingReturn.barcode} - record its condition, then return it` :
+                'Condition check - scan a returned item, then record its condition';
+        }
+        if (this.isAwaitingPatron) {
+            return 'Patron session - scan the borrower\'s library card first';
+        }
+        if (this.currentMode === 'receive') {
+            return this.deskBranchName ?
+                `Receiving transfers at ${this.deskBranchName} - scan each item as it arrives` :
+                'Receiving transfers - scan each item as it arrives';
+        }
+        if (this.patron) {
+            return `Scans apply to ${this.patron.name} until the session ends`;
+        }
+        return this.isBulkMode ?
+            'Bulk session - scan the stack, review, then submit' :
+            'Scan continuously - no clicks needed';
+    }
+
+    get conditionCheckVariant() {
+        return this.isConditionCheck ? 'brand' : 'neutral';
+    }
+
+    get returnConditionOptions() {
+        return RETURN_CONDITION_OPTIONS;
+    }
+
+    get causeOptions() {
+        return CAUSE_OPTIONS;
+    }
+
+    get stocktakeButtonVariant() {
+        return this.isStocktakeMode ? 'brand' : 'neutral';
+    }
+
+    get stocktakeLocationOptions() {
+        return this.stocktakeLocations.map(summary => ({
+            label: `${summary.location} (${summary.itemCount})`,
+            value: summary.location
+        }));
+    }
+
+    get disableStartStocktake() {
+        return !this.stocktakeLocation;
+    }
+
+    get stocktakeScanCount() {
+        return this.stocktake ? this.stocktake.barcodes.length : 0;
+    }
+
+    // Most recent scan first
+    get stocktakeScans() {
+        return this.stocktake ? [...this.stocktake.barcodes].reverse() : [];
+    }
+
+    get hasStocktakeScans() {
+        return this.stocktakeScanCount > 0;
+    }
+
+    get disableReconcile() {
+        return this.isReconciling || this.isFixingStocktake;
+    }
+
+    get hasStagedScans() {
+        return this.stagedScans.length > 0;
+    }
+
+    get stagedCount() {
+        return this.stagedScans.length;
+    }
+
+    get submitBulkLabel() {
+        return `Submit ${this.stagedCount} for ${this.currentModeLabel}`;
+    }
+
+    get disableBulkSubmit() {
+        return !this.hasStagedScans || this.isSubmittingBulk;
+    }
+
     get sessionCount() {
         return this.successCount + this.errorCount;
     }
@@ -305,7 +1427,19 @@ export default class BarcodeScanner extends LightningElement {
     }
 
     get hasQueue() {
-        return this.processingQueue.length > 0;
+        return this.scanQueue.length > 0;
+    }
+
+    get queueEntries() {
+        return this.scanQueue.map(decorateEntry);
+    }
+
+    get pendingCount() {
+        return this.scanQueue.filter(item => item.state === QUEUE_STATES.PENDING).length;
+    }
+
+    get hasSentScans() {
+        return this.scanQueue.some(item => item.state === QUEUE_STATES.SENT);
     }
 
     get hasHistory() {
@@ -316,6 +1450,10 @@ export default class BarcodeScanner extends LightningElement {
         return this.myItems && this.myItems.length > 0;
     }
 
+    get showMyItemsList() {
+        return this.shouldShowMyItems && this.hasMyItems;
+    }
+
     get lastResultClass() {
         if (!this.lastResult) return 'slds-box slds-var-m-bottom_medium';
         return this.lastResult.success ? 
@@ -0,0 +1,37 @@
+/**
+ * Desk branch helpers for barcodeScanner.
+ * The branch a librarian scans at is kept in localStorage, so returns and
+ * transfer receipts keep going to the right branch after a reload.
+ */
+
+const STORAGE_PREFIX = 'barcodeScanner.deskBranch.';
+
+function storageKey(userId) {
+    return STORAGE_PREFIX + userId;
+}
+
+export function loadDeskBranch(userId) {
+    try {
+        return window.localStorage.getItem(storageKey(userId)) || '';
+    } catch {
+        // Storage unavailable - no branch remembered
+        return '';
+    }
+}
+
+export function saveDeskBranch(userId, branchId) {
+    try {
+        if (branchId) {
+            window.localStorage.setItem(storageKey(userId), branchId);
+        } else {
+            window.localStorage.removeItem(storageKey(userId));
+        }
+    } catch {
+        // Storage full or unavailable - branch stays in memory only
+    }
+}
+
+// A remembered branch that has since been closed or deactivated is dropped
+export function resolveDeskBranch(branchId, branches) {
+    return branches.some(branch => branch.branchId === branchId) ? branchId : '';
+}
@@ -0,0 +1,116 @@
+/**
+ * Persistent scan queue helpers for barcodeScanner.
+ * Scans are stored in localStorage so queued work survives a page reload
+ * and is replayed in order once Apex is reachable again.
+ */
+
+const STORAGE_PREFIX = 'barcodeScanner.scanQueue.';
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+const MAX_SENT_ENTRIES = 10;
+
+export const MAX_ATTEMPTS = 6;
+
+export const QUEUE_STATES = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CONFLICT: 'conflict'
+};
+
+const STATE_BADGE_CLASSES = {
+    pending: 'queue-state queue-state_pending',
+    sent: 'queue-state queue-state_sent',
+    failed: 'queue-state queue-state_failed',
+    conflict: 'queue-state queue-state_conflict'
+};
+
+function storageKey(userId) {
+    return STORAGE_PREFIX + userId;
+}
+
+export function loadQueue(userId) {
+    try {
+        const stored = window.localStorage.getItem(storageKey(userId));
+        const entries = stored ? JSON.parse(stored) : [];
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        // Storage unavailable or corrupted - start with an empty queue
+        return [];
+    }
+}
+
+export function saveQueue(userId, entries) {
+    try {
+        window.localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+    } catch {
+        // Storage full or unavailable - queue stays in memory only
+    }
+}
+
+const ACTION_LABELS = {
+    checkout: 'Checkout',
+    return: 'Return',
+    receive: 'Receive'
+};
+
+// branchId is the desk branch the scan was made at, if one is chosen
+export function createEntry(barcode, action, userId, branchId) {
+    return {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        barcode: barcode,
+        action: action,
+        userId: userId,
+        branchId: branchId || null,
+        state: QUEUE_STATES.PENDING,
+        attempts: 0,
+        nextAttemptAt: 0,
+        message: '',
+        queuedAt: new Date().toISOString()
+    };
+}
+
+// Exponential backoff capped at MAX_RETRY_DELAY
+export function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts), MAX_RETRY_DELAY);
+}
+
+// Message the framework reports when a server action never got a response
+const DISCONNECTED_MESSAGE = 'Disconnected or Canceled';
+
+// Transport failures are retried; errors raised by Apex, and script errors in the client, are not
+export function isConnectionError(error) {
+    if (!navigator.onLine) {
+        return true;
+    }
+    if (!error || error instanceof Error) {
+        return false;
+    }
+    return error.status === 0 || error.body?.message === DISCONNECTED_MESSAGE;
+}
+
+// Drop older sent entries so the queue does not grow without bound
+export function pruneSent(entries) {
+    let sentSeen = 0;
+    return entries
+        .slice()
+        .reverse()
+        .filter(entry => {
+            if (entry.state !== QUEUE_STATES.SENT) {
+                return true;
+            }
+            sentSeen++;
+            return sentSeen <= MAX_SENT_ENTRIES;
+        })
+        .reverse();
+}
+
+export function decorateEntry(entry) {
+    return {
+        ...entry,
+        stateClass: STATE_BADGE_CLASSES[entry.state] || STATE_BADGE_CLASSES.pending,
+        canResubmit: entry.state === QUEUE_STATES.FAILED || entry.state === QUEUE_STATES.CONFLICT,
+        canDiscard: entry.state !== QUEUE_STATES.SENT,
+        actionLabel: ACTION_LABELS[entry.action] || ACTION_LABELS.checkout
+    };
+}
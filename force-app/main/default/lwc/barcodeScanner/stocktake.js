@@ -0,0 +1,75 @@
+/**
+ * Stocktake session helpers for barcodeScanner.
+ * The location being audited and the barcodes scanned so far are kept in
+ * localStorage, so a long shelf audit survives a reload or a dropped connection.
+ */
+
+const STORAGE_PREFIX = 'barcodeScanner.stocktake.';
+
+function storageKey(userId) {
+    return STORAGE_PREFIX + userId;
+}
+
+export function createSession(location) {
+    return {
+        location: location,
+        barcodes: [],
+        startedAt: new Date().toISOString()
+    };
+}
+
+export function loadSession(userId) {
+    try {
+        const stored = window.localStorage.getItem(storageKey(userId));
+        const session = stored ? JSON.parse(stored) : null;
+        return session && session.location && Array.isArray(session.barcodes) ? session : null;
+    } catch {
+        // Storage unavailable or corrupted - no session to resume
+        return null;
+    }
+}
+
+export function saveSession(userId, session) {
+    try {
+        if (session) {
+            window.localStorage.setItem(storageKey(userId), JSON.stringify(session));
+        } else {
+            window.localStorage.removeItem(storageKey(userId));
+        }
+    } catch {
+        // Storage full or unavailable - session stays in memory only
+    }
+}
+
+// Barcodes are matched case-insensitively, as they are in StocktakeService
+export function hasBarcode(session, barcode) {
+    const key = barcode.toUpperCase();
+    return session.barcodes.some(scanned => scanned.toUpperCase() === key);
+}
+
+function decorateItems(items, actionLabel) {
+    return items.map(item => ({
+        ...item,
+        key: item.itemId,
+        actionLabel: actionLabel,
+        detail: item.borrowerName ?
+            `${item.status} - ${item.borrowerName}` :
+            `${item.status} - catalogued at ${item.location || 'no location'}`
+    }));
+}
+
+export function decorateReport(report) {
+    return {
+        ...report,
+        isReconciled: report.missingItems.length === 0 && report.misplacedItems.length === 0 &&
+            report.checkedOutItems.length === 0 && report.unknownBarcodes.length === 0,
+        summary: `${report.matchedCount} of ${report.expectedCount} expected items found, ${report.scannedCount} scanned`,
+        missingItems: decorateItems(report.missingItems, 'Mark Lost'),
+        misplacedItems: decorateItems(report.misplacedItems, `Move to ${report.location}`),
+        checkedOutItems: decorateItems(report.checkedOutItems, null),
+        hasMissing: report.missingItems.length > 0,
+        hasMisplaced: report.misplacedItems.length > 0,
+        hasCheckedOut: report.checkedOutItems.length > 0,
+        hasUnknown: report.unknownBarcodes.length > 0
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * Symbology tables shared by barcode label printing (barcodeLabels) and
+ * barcode decoding (barcodeScanner): Code 128 patterns and QR code structure.
+ */
+
+// ---------------------------------------------------------------------------
+// Code 128
+// ---------------------------------------------------------------------------
+
+// Symbol widths (bar, space, bar, space, bar, space); 103-105 are the start codes, 106 is stop
+export const CODE128_PATTERNS = [
+    [2, 1, 2, 2, 2, 2], [2, 2, 2, 1, 2, 2], [2, 2, 2, 2, 2, 1], [1, 2, 1, 2, 2, 3], [1, 2, 1, 3, 2, 2],
+    [1, 3, 1, 2, 2, 2], [1, 2, 2, 2, 1, 3], [1, 2, 2, 3, 1, 2], [1, 3, 2, 2, 1, 2], [2, 2, 1, 2, 1, 3],
+    [2, 2, 1, 3, 1, 2], [2, 3, 1, 2, 1, 2], [1, 1, 2, 2, 3, 2], [1, 2, 2, 1, 3, 2], [1, 2, 2, 2, 3, 1],
+    [1, 1, 3, 2, 2, 2], [1, 2, 3, 1, 2, 2], [1, 2, 3, 2, 2, 1], [2, 2, 3, 2, 1, 1], [2, 2, 1, 1, 3, 2],
+    [2, 2, 1, 2, 3, 1], [2, 1, 3, 2, 1, 2], [2, 2, 3, 1, 1, 2], [3, 1, 2, 1, 3, 1], [3, 1, 1, 2, 2, 2],
+    [3, 2, 1, 1, 2, 2], [3, 2, 1, 2, 2, 1], [3, 1, 2, 2, 1, 2], [3, 2, 2, 1, 1, 2], [3, 2, 2, 2, 1, 1],
+    [2, 1, 2, 1, 2, 3], [2, 1, 2, 3, 2, 1], [2, 3, 2, 1, 2, 1], [1, 1, 1, 3, 2, 3], [1, 3, 1, 1, 2, 3],
+    [1, 3, 1, 3, 2, 1], [1, 1, 2, 3, 1, 3], [1, 3, 2, 1, 1, 3], [1, 3, 2, 3, 1, 1], [2, 1, 1, 3, 1, 3],
+    [2, 3, 1, 1, 1, 3], [2, 3, 1, 3, 1, 1], [1, 1, 2, 1, 3, 3], [1, 1, 2, 3, 3, 1], [1, 3, 2, 1, 3, 1],
+    [1, 1, 3, 1, 2, 3], [1, 1, 3, 3, 2, 1], [1, 3, 3, 1, 2, 1], [3, 1, 3, 1, 2, 1], [2, 1, 1, 3, 3, 1],
+    [2, 3, 1, 1, 3, 1], [2, 1, 3, 1, 1, 3], [2, 1, 3, 3, 1, 1], [2, 1, 3, 1, 3, 1], [3, 1, 1, 1, 2, 3],
+    [3, 1, 1, 3, 2, 1], [3, 3, 1, 1, 2, 1], [3, 1, 2, 1, 1, 3], [3, 1, 2, 3, 1, 1], [3, 3, 2, 1, 1, 1],
+    [3, 1, 4, 1, 1, 1], [2, 2, 1, 4, 1, 1], [4, 3, 1, 1, 1, 1], [1, 1, 1, 2, 2, 4], [1, 1, 1, 4, 2, 2],
+    [1, 2, 1, 1, 2, 4], [1, 2, 1, 4, 2, 1], [1, 4, 1, 1, 2, 2], [1, 4, 1, 2, 2, 1], [1, 1, 2, 2, 1, 4],
+    [1, 1, 2, 4, 1, 2], [1, 2, 2, 1, 1, 4], [1, 2, 2, 4, 1, 1], [1, 4, 2, 1, 1, 2], [1, 4, 2, 2, 1, 1],
+    [2, 4, 1, 2, 1, 1], [2, 2, 1, 1, 1, 4], [4, 1, 3, 1, 1, 1], [2, 4, 1, 1, 1, 2], [1, 3, 4, 1, 1, 1],
+    [1, 1, 1, 2, 4, 2], [1, 2, 1, 1, 4, 2], [1, 2, 1, 2, 4, 1], [1, 1, 4, 2, 1, 2], [1, 2, 4, 1, 1, 2],
+    [1, 2, 4, 2, 1, 1], [4, 1, 1, 2, 1, 2], [4, 2, 1, 1, 1, 2], [4, 2, 1, 2, 1, 1], [2, 1, 2, 1, 4, 1],
+    [2, 1, 4, 1, 2, 1], [4, 1, 2, 1, 2, 1], [1, 1, 1, 1, 4, 3], [1, 1, 1, 3, 4, 1], [1, 3, 1, 1, 4, 1],
+    [1, 1, 4, 1, 1, 3], [1, 1, 4, 3, 1, 1], [4, 1, 1, 1, 1, 3], [4, 1, 1, 3, 1, 1], [1, 1, 3, 1, 4, 1],
+    [1, 1, 4, 1, 3, 1], [3, 1, 1, 1, 4, 1], [4, 1, 1, 1, 3, 1], [2, 1, 1, 4, 1, 2], [2, 1, 1, 2, 1, 4],
+    [2, 1, 1, 2, 3, 2], [2, 3, 3, 1, 1, 1]
+];
+
+export const CODE128_START_A = 103;
+export const CODE128_START_B = 104;
+export const CODE128_START_C = 105;
+export const CODE128_CODE_B = 100;
+export const CODE128_CODE_C = 99;
+export const CODE128_STOP = 106;
+
+// ---------------------------------------------------------------------------
+// QR code
+// ---------------------------------------------------------------------------
+
+// Error correction per level: [ecCodewordsPerBlock, blocks, dataCodewords, blocks, dataCodewords]
+export const QR_VERSIONS = [
+    null,
+    { alignment: [], L: [7, 1, 19], M: [10, 1, 16], Q: [13, 1, 13], H: [17, 1, 9] },
+    { alignment: [6, 18], L: [10, 1, 34], M: [16, 1, 28], Q: [22, 1, 22], H: [28, 1, 16] },
+    { alignment: [6, 22], L: [15, 1, 55], M: [26, 1, 44], Q: [18, 2, 17], H: [22, 2, 13] },
+    { alignment: [6, 26], L: [20, 1, 80], M: [18, 2, 32], Q: [26, 2, 24], H: [16, 4, 9] },
+    { alignment: [6, 30], L: [26, 1, 108], M: [24, 2, 43], Q: [18, 2, 15, 2, 16], H: [22, 2, 11, 2, 12] },
+    { alignment: [6, 34], L: [18, 2, 68], M: [16, 4, 27], Q: [24, 4, 19], H: [28, 4, 15] },
+    { alignment: [6, 22, 38], L: [20, 2, 78], M: [18, 4, 31], Q: [18, 2, 14, 4, 15], H: [26, 4, 13, 1, 14] },
+    { alignment: [6, 24, 42], L: [24, 2, 97], M: [22, 2, 38, 2, 39], Q: [22, 4, 18, 2, 19], H: [26, 4, 14, 2, 15] },
+    { alignment: [6, 26, 46], L: [30, 2, 116], M: [22, 3, 36, 2, 37], Q: [20, 4, 16, 4, 17], H: [24, 4, 12, 4, 13] },
+    { alignment: [6, 28, 50], L: [18, 2, 68, 2, 69], M: [26, 4, 43, 1, 44], Q: [24, 6, 19, 2, 20], H: [28, 6, 15, 2, 16] }
+];
+
+// Format and version information BCH codes
+export const FORMAT_MASK = 0x5412;
+export const FORMAT_GENERATOR = 0x537;
+export const VERSION_GENERATOR = 0x1f25;
+
+export const MASK_FUNCTIONS = [
+    (row, col) => (row + col) % 2 === 0,
+    (row) => row % 2 === 0,
+    (row, col) => col % 3 === 0,
+    (row, col) => (row + col) % 3 === 0,
+    (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+    (row, col) => (row * col) % 2 + (row * col) % 3 === 0,
+    (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+    (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0
+];
+
+// GF(256) arithmetic with the QR primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+export const GF_EXP = new Uint8Array(512);
+export const GF_LOG = new Uint8Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) {
+            value ^= 0x11d;
+        }
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+export function gfMultiply(a, b) {
+    return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+}
@@ -0,0 +1,141 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getBranches from '@salesforce/apex/LibraryBranchService.getBranches';
+import getOpenTransfers from '@salesforce/apex/LibraryBranchService.getOpenTransfers';
+import requestTransfer from '@salesforce/apex/LibraryBranchService.requestTransfer';
+import shipTransfer from '@salesforce/apex/LibraryBranchService.shipTransfer';
+import cancelTransfer from '@salesforce/apex/LibraryBranchService.cancelTransfer';
+
+const ALL_BRANCHES = '';
+
+const STATUS_CLASSES = {
+    Requested: 'slds-badge',
+    'In Transit': 'slds-badge slds-theme_info'
+};
+
+export default class BranchTransfers extends LightningElement {
+    @track branchId = ALL_BRANCHES;
+    @track transfers = [];
+    @track barcode = '';
+    @track destinationId = '';
+    @track isLoading = false;
+    @track isWorking = false;
+
+    branches = [];
+
+    @wire(getBranches)
+    wiredBranches({ data }) {
+        if (data) {
+            this.branches = data;
+        }
+    }
+
+    connectedCallback() {
+        this.loadTransfers();
+    }
+
+    async loadTransfers() {
+        try {
+            this.isLoading = true;
+            this.transfers = await getOpenTransfers({ branchId: this.branchId || null });
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Error loading transfers', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    get branchOptions() {
+        return [
+            { label: 'All Branches', value: ALL_BRANCHES },
+            ...this.destinationOptions
+        ];
+    }
+
+    get destinationOptions() {
+        return this.branches.map(branch => ({ label: branch.name, value: branch.branchId }));
+    }
+
+    get canRequest() {
+        return !!this.barcode.trim() && !!this.destinationId && !this.isWorking;
+    }
+
+    get cannotRequest() {
+        return !this.canRequest;
+    }
+
+    // Outgoing and incoming are relative to the branch being viewed
+    get transferRows() {
+        return this.transfers.map(transfer => ({
+            ...transfer,
+            itemName: transfer.Library_Item__r ? transfer.Library_Item__r.Item_Name__c : '',
+            barcode: transfer.Library_Item__r ? transfer.Library_Item__r.Barcode__c : '',
+            fromBranch: transfer.From_Branch__r ? transfer.From_Branch__r.Name : '-',
+            toBranch: transfer.To_Branch__r ? transfer.To_Branch__r.Name : '-',
+            direction: !this.branchId ? '' : transfer.To_Branch__c === this.branchId ? 'Incoming' : 'Outgoing',
+            statusClass: STATUS_CLASSES[transfer.Status__c] || 'slds-badge',
+            isRequested: transfer.Status__c === 'Requested'
+        }));
+    }
+
+    get hasTransfers() {
+        return this.transfers.length > 0;
+    }
+
+    handleBranchChange(event) {
+        this.branchId = event.detail.value;
+        this.loadTransfers();
+    }
+
+    handleBarcodeChange(event) {
+        this.barcode = event.target.value;
+    }
+
+    handleDestinationChange(event) {
+        this.destinationId = event.detail.value;
+    }
+
+    async handleRequest() {
+        if (!this.canRequest) {
+            return;
+        }
+        const result = await this.runAction(requestTransfer({
+            itemCode: this.barcode.trim(),
+            toBranchId: this.destinationId
+        }));
+        if (result && result.isSuccess) {
+            this.barcode = '';
+        }
+    }
+
+    handleShip(event) {
+        this.runAction(shipTransfer({ transferId: event.currentTarget.dataset.id }));
+    }
+
+    handleCancel(event) {
+        this.runAction(cancelTransfer({ transferId: event.currentTarget.dataset.id }));
+    }
+
+    // TransferResult failures come back as messages rather than exceptions
+    async runAction(action) {
+        try {
+            this.isWorking = true;
+            const result = await action;
+            this.showToast(result.isSuccess ? 'Success' : 'Transfer Not Updated', result.message,
+                result.isSuccess ? 'success' : 'error');
+            if (result.isSuccess) {
+                await this.loadTransfers();
+            }
+            return result;
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Transfer update failed', 'error');
+            return null;
+        } finally {
+            this.isWorking = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
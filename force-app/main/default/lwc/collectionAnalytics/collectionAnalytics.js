@@ -0,0 +1,192 @@
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getCollectionAnalytics from '@salesforce/apex/CollectionAnalyticsService.getCollectionAnalytics';
+import { toCsv, downloadFile } from 'c/csvUtils';
+
+const LOOKBACK_OPTIONS = [
+    { label: 'Last 90 Days', value: '90' },
+    { label: 'Last 6 Months', value: '182' },
+    { label: 'Last Year', value: '365' },
+    { label: 'Last 2 Years', value: '730' },
+    { label: 'Last 5 Years', value: '1825' }
+];
+
+// Rows shown on screen per list; the export always has every row
+const DISPLAY_LIMIT = 200;
+
+// Export columns; keys match CollectionAnalyticsService wrapper properties
+const GROUP_COLUMNS = [
+    { key: 'name', label: 'Name' },
+    { key: 'itemCount', label: 'Items' },
+    { key: 'loanCount', label: 'Loans in Period' },
+    { key: 'turnoverRate', label: 'Loans a Year per Item' },
+    { key: 'averageLoanDays', label: 'Average Loan Days' },
+    { key: 'idleCount', label: 'Idle Items' },
+    { key: 'idlePercentage', label: 'Idle %' },
+    { key: 'weedingCandidateCount', label: 'Weeding Candidates' }
+];
+
+const ITEM_COLUMNS = [
+    { key: 'itemName', label: 'Item Name' },
+    { key: 'barcode', label: 'Barcode' },
+    { key: 'itemType', label: 'Item Type' },
+    { key: 'category', label: 'Category' },
+    { key: 'location', label: 'Location' },
+    { key: 'status', label: 'Status' },
+    { key: 'condition', label: 'Condition' },
+    { key: 'acquiredDate', label: 'Acquired' },
+    { key: 'loanCount', label: 'Loans in Period' },
+    { key: 'turnoverRate', label: 'Loans a Year' },
+    { key: 'averageLoanDays', label: 'Average Loan Days' },
+    { key: 'daysIdle', label: 'Days Since Last Loan' },
+    { key: 'holdCount', label: 'Active Holds' },
+    { key: 'weedingReason', label: 'Weeding Reason' }
+];
+
+const ACQUISITION_COLUMNS = [
+    { key: 'itemName', label: 'Title' },
+    { key: 'authorManufacturer', label: 'Author / Manufacturer' },
+    { key: 'isbnSerial', label: 'ISBN / Serial' },
+    { key: 'itemType', label: 'Item Type' },
+    { key: 'category', label: 'Category' },
+    { key: 'copyCount', label: 'Copies' },
+    { key: 'loanCount', label: 'Loans in Period' },
+    { key: 'holdCount', label: 'Active Holds' },
+    { key: 'holdsPerCopy', label: 'Holds per Copy' },
+    { key: 'turnoverRate', label: 'Loans a Year per Copy' },
+    { key: 'acquisitionReason', label: 'Reason' }
+];
+
+export default class CollectionAnalytics extends LightningElement {
+    @track analytics;
+    @track isLoading = true;
+    @track error;
+    @track lookbackDays = null; // null until the configured period is known
+
+    connectedCallback() {
+        this.loadAnalytics();
+    }
+
+    async loadAnalytics() {
+        try {
+            this.isLoading = true;
+            const lookback = this.lookbackDays ? parseInt(this.lookbackDays, 10) : null;
+            this.analytics = await getCollectionAnalytics({ lookbackDays: lookback });
+            this.lookbackDays = String(this.analytics.settings.lookbackDays);
+            this.error = undefined;
+        } catch (error) {
+            this.analytics = undefined;
+            this.error = error.body?.message || 'Error loading collection analytics';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // The configured period is offered even when it is not one of the presets
+    get lookbackOptions() {
+        if (!this.lookbackDays || LOOKBACK_OPTIONS.some(option => option.value === this.lookbackDays)) {
+            return LOOKBACK_OPTIONS;
+        }
+        return [{ label: `Last ${this.lookbackDays} Days`, value: this.lookbackDays }, ...LOOKBACK_OPTIONS];
+    }
+
+    get hasAnalytics() {
+        return !!this.analytics;
+    }
+
+    get periodLabel() {
+        return this.analytics ? `${this.analytics.windowStart} to ${this.analytics.asOfDate}` : '';
+    }
+
+    get totalLoans() {
+        return this.analytics ? this.analytics.typeSummaries.reduce((sum, summary) => sum + summary.loanCount, 0) : 0;
+    }
+
+    get thresholdsText() {
+        const settings = this.analytics.settings;
+        return `Weeding: owned ${settings.weedMinAgeDays}+ days and idle ${settings.weedIdleDays}+ days ` +
+            `or under ${settings.weedMaxTurnover} loans a year. Acquisition: ${settings.acquireMaxCopies} or fewer copies ` +
+            `with ${settings.acquireMinHoldsPerCopy}+ holds per copy or ${settings.acquireMinTurnover}+ loans a year per copy.`;
+    }
+
+    get weedingRows() {
+        return this.analytics.weedingCandidates.slice(0, DISPLAY_LIMIT);
+    }
+
+    get acquisitionRows() {
+        return this.analytics.acquisitionCandidates.slice(0, DISPLAY_LIMIT).map((title, index) => ({
+            ...title,
+            key: `${index}:${title.isbnSerial || title.itemName}`
+        }));
+    }
+
+    get weedingTabLabel() {
+        return `Weeding Candidates (${this.analytics.weedingCandidates.length})`;
+    }
+
+    get acquisitionTabLabel() {
+        return `Acquisition List (${this.analytics.acquisitionCandidates.length})`;
+    }
+
+    get hasWeedingCandidates() {
+        return this.analytics.weedingCandidates.length > 0;
+    }
+
+    get hasAcquisitionCandidates() {
+        return this.analytics.acquisitionCandidates.length > 0;
+    }
+
+    get isWeedingListCut() {
+        return this.analytics.weedingCandidates.length > DISPLAY_LIMIT;
+    }
+
+    get isAcquisitionListCut() {
+        return this.analytics.acquisitionCandidates.length > DISPLAY_LIMIT;
+    }
+
+    get displayLimit() {
+        return DISPLAY_LIMIT;
+    }
+
+    handleLookbackChange(event) {
+        this.lookbackDays = event.detail.value;
+        this.loadAnalytics();
+    }
+
+    handleRefresh() {
+        this.loadAnalytics();
+    }
+
+    handleExportTypes() {
+        this.exportRows('collection-by-type', GROUP_COLUMNS, this.analytics.typeSummaries);
+    }
+
+    handleExportCategories() {
+        this.exportRows('collection-by-category', GROUP_COLUMNS, this.analytics.categorySummaries);
+    }
+
+    handleExportItems() {
+        this.exportRows('collection-item-metrics', ITEM_COLUMNS, this.analytics.items);
+    }
+
+    handleExportWeeding() {
+        this.exportRows('weeding-candidates', ITEM_COLUMNS, this.analytics.weedingCandidates);
+    }
+
+    handleExportAcquisitions() {
+        this.exportRows('acquisition-candidates', ACQUISITION_COLUMNS, this.analytics.acquisitionCandidates);
+    }
+
+    exportRows(baseName, columns, rows) {
+        const csv = toCsv(
+            columns.map(column => column.label),
+            rows.map(row => columns.map(column => row[column.key]))
+        );
+        downloadFile(`${baseName}-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv;charset=utf-8');
+        this.showToast('Exported', `${rows.length} row(s) exported`, 'success');
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Shared condition check helpers for returns and repair tickets.
+ * Values match the Condition__c and Cause__c picklists; the assessment
+ * shape matches MaintenanceService.ConditionAssessment.
+ */
+
+export const CONDITIONS = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+export const DAMAGE_CAUSES = ['Borrower Damage', 'Wear and Tear', 'Missing Parts', 'Water Damage', 'Other'];
+
+// A blank condition leaves the catalogued condition unchanged
+export const RETURN_CONDITION_OPTIONS = [
+    { label: 'Unchanged', value: '' },
+    ...CONDITIONS.map(condition => ({ label: condition, value: condition }))
+];
+
+export const CONDITION_OPTIONS = CONDITIONS.map(condition => ({ label: condition, value: condition }));
+
+export const CAUSE_OPTIONS = [
+    { label: 'Not recorded', value: '' },
+    ...DAMAGE_CAUSES.map(cause => ({ label: cause, value: cause }))
+];
+
+export function createAssessment() {
+    return {
+        condition: '',
+        cause: '',
+        damageNotes: '',
+        needsRepair: false
+    };
+}
+
+// Form field change: checkboxes report `checked`, everything else `value`
+export function updateAssessment(assessment, event) {
+    const field = event.target.dataset.field;
+    const value = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+    return { ...assessment, [field]: value };
+}
+
+// Apex payload - blank fields are sent as null
+export function toApexAssessment(assessment) {
+    return {
+        condition: assessment.condition || null,
+        cause: assessment.cause || null,
+        damageNotes: assessment.damageNotes ? assessment.damageNotes.trim() : null,
+        needsRepair: assessment.needsRepair === true
+    };
+}
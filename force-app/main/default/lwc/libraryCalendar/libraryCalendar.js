@@ -0,0 +1,214 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getBranches from '@salesforce/apex/LibraryBranchService.getBranches';
+import getCalendarMonth from '@salesforce/apex/LibraryCalendarService.getCalendarMonth';
+import getUpcomingClosures from '@salesforce/apex/LibraryCalendarService.getUpcomingClosures';
+import saveClosure from '@salesforce/apex/LibraryCalendarService.saveClosure';
+import deleteClosure from '@salesforce/apex/LibraryCalendarService.deleteClosure';
+import isLibrarian from '@salesforce/apex/LibraryPermissionHelper.isLibrarian';
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const LIBRARY_WIDE = '';
+
+const emptyClosure = () => ({ Name: '', Start_Date__c: null, End_Date__c: null, Branch__c: LIBRARY_WIDE });
+
+// Dates from Apex arrive as YYYY-MM-DD strings
+const toIsoDate = date => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export default class LibraryCalendar extends LightningElement {
+    @track branchId = LIBRARY_WIDE;
+    @track year;
+    @track month; // 1-12
+    @track calendar;
+    @track closures = [];
+    @track newClosure = emptyClosure();
+    @track isLoading = false;
+    @track isSaving = false;
+
+    branches = [];
+    isLibrarianUser = false;
+
+    @wire(isLibrarian)
+    wiredIsLibrarian({ data }) {
+        this.isLibrarianUser = data === true;
+    }
+
+    @wire(getBranches)
+    wiredBranches({ data }) {
+        if (data) {
+            this.branches = data;
+        }
+    }
+
+    connectedCallback() {
+        const today = new Date();
+        this.year = today.getFullYear();
+        this.month = today.getMonth() + 1;
+        this.loadMonth();
+        this.loadClosures();
+    }
+
+    async loadMonth() {
+        try {
+            this.isLoading = true;
+            this.calendar = await getCalendarMonth({
+                branchId: this.branchId || null,
+                year: this.year,
+                month: this.month
+            });
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Error loading the calendar', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async loadClosures() {
+        try {
+            this.closures = await getUpcomingClosures();
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Error loading closures', 'error');
+        }
+    }
+
+    get branchOptions() {
+        return [
+            { label: 'Library-wide', value: LIBRARY_WIDE },
+            ...this.branches.map(branch => ({ label: branch.name, value: branch.branchId }))
+        ];
+    }
+
+    get monthLabel() {
+        return new Date(this.year, this.month - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+
+    get weekdayLabels() {
+        return WEEKDAY_LABELS;
+    }
+
+    get openDaysText() {
+        return this.calendar ? `Open ${this.calendar.openDays.join(', ')}` : '';
+    }
+
+    // Weeks of seven cells, Monday first, padded with blanks outside the month
+    get weeks() {
+        if (!this.calendar) {
+            return [];
+        }
+        const todayIso = toIsoDate(new Date());
+        const cells = [];
+        const leading = WEEKDAYS.indexOf(this.calendar.days[0].weekday);
+        for (let i = 0; i < leading; i++) {
+            cells.push({ key: `blank-start-${i}`, isBlank: true, cellClass: 'calendar-cell' });
+        }
+        this.calendar.days.forEach(day => {
+            const classes = ['calendar-cell', day.isOpen ? 'calendar-open' : 'calendar-closed'];
+            if (day.day === todayIso) {
+                classes.push('calendar-today');
+            }
+            cells.push({
+                key: day.day,
+                dayNumber: Number(day.day.slice(8, 10)),
+                closureName: day.closureName,
+                title: day.isOpen ? 'Open' : day.closureName || 'Closed',
+                cellClass: classes.join(' ')
+            });
+        });
+        while (cells.length % 7 !== 0) {
+            cells.push({ key: `blank-end-${cells.length}`, isBlank: true, cellClass: 'calendar-cell' });
+        }
+
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) {
+            weeks.push({ key: `week-${i / 7}`, days: cells.slice(i, i + 7) });
+        }
+        return weeks;
+    }
+
+    get closureRows() {
+        return this.closures.map(closure => ({
+            ...closure,
+            branchLabel: closure.Branch__r ? closure.Branch__r.Name : 'All branches'
+        }));
+    }
+
+    get hasClosures() {
+        return this.closures.length > 0;
+    }
+
+    handleBranchChange(event) {
+        this.branchId = event.detail.value;
+        this.loadMonth();
+    }
+
+    handlePreviousMonth() {
+        this.moveMonth(-1);
+    }
+
+    handleNextMonth() {
+        this.moveMonth(1);
+    }
+
+    handleToday() {
+        const today = new Date();
+        this.year = today.getFullYear();
+        this.month = today.getMonth() + 1;
+        this.loadMonth();
+    }
+
+    moveMonth(offset) {
+        const target = new Date(this.year, this.month - 1 + offset, 1);
+        this.year = target.getFullYear();
+        this.month = target.getMonth() + 1;
+        this.loadMonth();
+    }
+
+    handleClosureFieldChange(event) {
+        const field = event.target.dataset.field;
+        this.newClosure = { ...this.newClosure, [field]: event.detail.value };
+    }
+
+    async handleAddClosure() {
+        const inputs = [...this.template.querySelectorAll('.closure-input')];
+        const isValid = inputs.reduce((valid, input) => {
+            input.reportValidity();
+            return valid && input.checkValidity();
+        }, true);
+        if (!isValid) {
+            return;
+        }
+
+        try {
+            this.isSaving = true;
+            const closure = { ...this.newClosure, Branch__c: this.newClosure.Branch__c || null };
+            await saveClosure({ closure: { ...closure, sobjectType: 'Library_Closure__c' } });
+            this.showToast('Success', `${this.newClosure.Name} added to the calendar`, 'success');
+            this.newClosure = emptyClosure();
+            await Promise.all([this.loadMonth(), this.loadClosures()]);
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Could not save the closure', 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async handleDeleteClosure(event) {
+        const closureId = event.currentTarget.dataset.id;
+        try {
+            await deleteClosure({ closureId: closureId });
+            this.showToast('Success', 'Closure removed', 'success');
+            await Promise.all([this.loadMonth(), this.loadClosures()]);
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Could not remove the closure', 'error');
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
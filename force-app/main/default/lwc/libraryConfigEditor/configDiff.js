@@ -0,0 +1,50 @@
+/**
+ * Setting-by-setting comparison of two configurations for the review step.
+ * Paths match LibraryConfigService.validateConfigJSON messages, e.g. itemTypes.Book.loanDays.
+ */
+
+function flatten(value, path, values) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 0 && path) {
+            values[path] = '{}';
+        }
+        keys.forEach(key => flatten(value[key], path ? `${path}.${key}` : key, values));
+    } else if (path) {
+        values[path] = JSON.stringify(value === undefined ? null : value);
+    }
+    return values;
+}
+
+const BADGE_CLASSES = {
+    Added: 'slds-badge slds-theme_success',
+    Removed: 'slds-badge slds-theme_error',
+    Changed: 'slds-badge slds-theme_warning'
+};
+
+function describeChange(path, before, after) {
+    if (!(path in before)) {
+        return 'Added';
+    }
+    return path in after ? 'Changed' : 'Removed';
+}
+
+// Rows of { path, before, after, change } for every setting added, removed or changed
+export function diffConfigurations(original, updated) {
+    const before = flatten(original || {}, '', {});
+    const after = flatten(updated || {}, '', {});
+    const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return paths
+        .filter(path => before[path] !== after[path])
+        .map(path => {
+            const change = describeChange(path, before, after);
+            return {
+                path: path,
+                before: path in before ? before[path] : '',
+                after: path in after ? after[path] : '',
+                change: change,
+                badgeClass: BADGE_CLASSES[change]
+            };
+        });
+}
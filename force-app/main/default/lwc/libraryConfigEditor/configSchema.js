@@ -0,0 +1,56 @@
+/**
+ * Form fields for libraryConfigEditor. Keys and minimums match the schema in
+ * LibraryConfigService.validateConfigJSON, which has the final say when saving.
+ */
+
+// Library_Configuration__mdt.Configuration_Type__c values
+export const CONFIGURATION_TYPES = ['Organization', 'Department', 'Profile', 'Role', 'User', 'Global']
+    .map(value => ({ label: value, value: value }));
+
+export const ITEM_TYPE_FIELDS = [
+    { key: 'loanDays', label: 'Loan Days', type: 'integer', min: 1 },
+    { key: 'maxItems', label: 'Max Items', type: 'integer', min: 0 },
+    { key: 'allowRenewal', label: 'Allow Renewal', type: 'boolean' },
+    { key: 'renewalDays', label: 'Renewal Days', type: 'integer', min: 1 },
+    { key: 'dailyFine', label: 'Daily Fine', type: 'decimal', min: 0 },
+    { key: 'maxFine', label: 'Max Fine', type: 'decimal', min: 0 },
+    { key: 'fineGraceDays', label: 'Fine Grace Days', type: 'integer', min: 0 },
+    { key: 'lostItemFee', label: 'Lost Item Fee', type: 'decimal', min: 0 }
+];
+
+// reminderSchedule, collectionAnalytics, calendar and categoryRestrictions are nested, so they are edited as JSON
+export const GLOBAL_FIELDS = [
+    { key: 'maxTotalItems', label: 'Max Total Items', type: 'integer', min: 0 },
+    { key: 'defaultLoanDays', label: 'Default Loan Days', type: 'integer', min: 1 },
+    { key: 'overdueGracePeriod', label: 'Overdue Grace Period (days)', type: 'integer', min: 0 },
+    { key: 'lostAfterDays', label: 'Declare Lost After (days overdue)', type: 'integer', min: 0 },
+    { key: 'maxFineBalance', label: 'Max Fine Balance', type: 'decimal', min: 0 },
+    { key: 'maintenanceCondition', label: 'Maintenance Condition', type: 'text' },
+    { key: 'isbnProvider', label: 'ISBN Provider Class', type: 'text' },
+    { key: 'enableOverdueNotifications', label: 'Send Reminder and Overdue Emails', type: 'boolean' }
+];
+
+// lightning-input attributes for one field showing its current value
+export function toFormField(field, settings, idPrefix) {
+    const value = settings ? settings[field.key] : undefined;
+    return {
+        ...field,
+        id: `${idPrefix}.${field.key}`,
+        isCheckbox: field.type === 'boolean',
+        inputType: field.type === 'text' ? 'text' : 'number',
+        step: field.type === 'decimal' ? '0.01' : '1',
+        checked: value === true,
+        value: value === undefined || value === null ? '' : value
+    };
+}
+
+// New value from a field's input; undefined removes the setting
+export function readFieldValue(field, input) {
+    if (field.type === 'boolean') {
+        return input.checked;
+    }
+    if (input.value === '' || input.value === null || input.value === undefined) {
+        return undefined;
+    }
+    return field.type === 'text' ? input.value : Number(input.value);
+}
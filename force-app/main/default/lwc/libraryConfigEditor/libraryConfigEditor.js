@@ -0,0 +1,394 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import { subscribe, unsubscribe } from 'lightning/empApi';
+import getAllConfigurations from '@salesforce/apex/LibraryConfigService.getAllConfigurations';
+import validateConfiguration from '@salesforce/apex/LibraryConfigAdminService.validateConfiguration';
+import saveConfiguration from '@salesforce/apex/LibraryConfigAdminService.saveConfiguration';
+import canPerformAdminActions from '@salesforce/apex/LibraryPermissionHelper.canPerformAdminActions';
+import { CONFIGURATION_TYPES, ITEM_TYPE_FIELDS, GLOBAL_FIELDS, toFormField, readFieldValue } from './configSchema';
+import { diffConfigurations } from './configDiff';
+
+// Metadata deployments finish asynchronously; LibraryConfigAdminService publishes each outcome here
+const DEPLOYMENT_CHANNEL = '/event/Library_Config_Deployment__e';
+
+const EDIT_MODES = [
+    { label: 'Form', value: 'form' },
+    { label: 'JSON', value: 'json' }
+];
+
+const parseConfiguration = json => {
+    try {
+        return json ? JSON.parse(json) : {};
+    } catch {
+        return {};
+    }
+};
+
+const sameConfiguration = (first, second) =>
+    JSON.stringify(parseConfiguration(first)) === JSON.stringify(parseConfiguration(second));
+
+export default class LibraryConfigEditor extends LightningElement {
+    @track configurations = [];
+    @track selected = null; // { developerName, label, configurationType, isNew }
+    @track draft = {};
+    @track editMode = 'form';
+    @track jsonText = '';
+    @track jsonError;
+    @track newItemType = '';
+    @track validationErrors = [];
+    @track diffRows = [];
+    @track showReviewModal = false;
+    @track isSaving = false;
+
+    original = {};
+    isAdmin = false;
+    wiredConfigurationsResult;
+    pendingDeployment = null; // { developerName, json, jobId } waiting for the deployment to land
+    deploymentSubscription = null;
+
+    @wire(canPerformAdminActions)
+    wiredAdmin({ data }) {
+        this.isAdmin = data === true;
+    }
+
+    @wire(getAllConfigurations)
+    wiredConfigurations(result) {
+        this.wiredConfigurationsResult = result;
+        if (result.data) {
+            this.configurations = result.data;
+            this.checkPendingDeployment();
+        } else if (result.error) {
+            this.showToast('Error', 'Error loading configurations', 'error');
+        }
+    }
+
+    connectedCallback() {
+        this.subscribeToDeployments();
+    }
+
+    disconnectedCallback() {
+        if (this.deploymentSubscription) {
+            unsubscribe(this.deploymentSubscription, () => {});
+            this.deploymentSubscription = null;
+        }
+    }
+
+    // Without streaming the deploying banner's Check Status button still picks the change up
+    async subscribeToDeployments() {
+        try {
+            this.deploymentSubscription = await subscribe(DEPLOYMENT_CHANNEL, -1,
+                message => this.handleDeploymentOutcome(message.data.payload));
+        } catch (error) {
+            console.error('Unable to subscribe to configuration deployments:', error);
+        }
+    }
+
+    get configurationItems() {
+        return this.configurations.map(config => ({
+            name: config.DeveloperName,
+            label: `${config.Label} (${config.Configuration_Type__c || 'No type'})`
+        }));
+    }
+
+    get selectedName() {
+        return this.selected && !this.selected.isNew ? this.selected.developerName : null;
+    }
+
+    get hasSelection() {
+        return !!this.selected;
+    }
+
+    get isDeveloperNameLocked() {
+        return !this.selected.isNew;
+    }
+
+    get typeOptions() {
+        return CONFIGURATION_TYPES;
+    }
+
+    get editModeOptions() {
+        return EDIT_MODES;
+    }
+
+    get isFormMode() {
+        return this.editMode === 'form';
+    }
+
+    get itemTypeRows() {
+        const itemTypes = this.draft.itemTypes || {};
+        return Object.keys(itemTypes).sort().map(name => ({
+            name: name,
+            fields: ITEM_TYPE_FIELDS.map(field => toFormField(field, itemTypes[name], name))
+        }));
+    }
+
+    get hasItemTypes() {
+        return this.itemTypeRows.length > 0;
+    }
+
+    get globalFields() {
+        return GLOBAL_FIELDS.map(field => toFormField(field, this.draft.globalSettings, 'globalSettings'));
+    }
+
+    // Nested settings the form does not show
+    get jsonOnlySettings() {
+        const settings = this.draft.globalSettings || {};
+        return ['reminderSchedule', 'collectionAnalytics', 'calendar', 'categoryRestrictions'].filter(key => settings[key] !== undefined).join(', ');
+    }
+
+    get hasValidationErrors() {
+        return this.validationErrors.length > 0;
+    }
+
+    get isReviewDisabled() {
+        return !this.isAdmin || this.isSaving || !!this.jsonError || !!this.pendingDeployment;
+    }
+
+    get isDeploying() {
+        return !!this.pendingDeployment;
+    }
+
+    // Selection
+    handleSelect(event) {
+        const config = this.configurations.find(item => item.DeveloperName === event.detail.name);
+        if (config) {
+            this.loadConfiguration(config);
+        }
+    }
+
+    handleNew() {
+        this.selected = { developerName: '', label: '', configurationType: 'Department', isNew: true };
+        this.original = {};
+        this.resetDraft({ itemTypes: {}, globalSettings: {} });
+    }
+
+    loadConfiguration(config) {
+        this.selected = {
+            developerName: config.DeveloperName,
+            label: config.Label,
+            configurationType: config.Configuration_Type__c,
+            isNew: false
+        };
+        this.original = parseConfiguration(config.Configuration_JSON__c);
+        this.resetDraft(this.original);
+    }
+
+    resetDraft(configuration) {
+        this.draft = JSON.parse(JSON.stringify(configuration));
+        this.jsonText = JSON.stringify(this.draft, null, 2);
+        this.jsonError = undefined;
+        this.validationErrors = [];
+        this.editMode = 'form';
+    }
+
+    handleReset() {
+        this.resetDraft(this.original);
+    }
+
+    // Details
+    handleDetailChange(event) {
+        const field = event.target.dataset.field;
+        const value = event.detail.value;
+        const selected = { ...this.selected, [field]: value };
+        // Suggest an API name from the label for new configurations
+        if (field === 'label' && this.selected.isNew && this.selected.developerName === this.toDeveloperName(this.selected.label)) {
+            selected.developerName = this.toDeveloperName(value);
+        }
+        this.selected = selected;
+    }
+
+    toDeveloperName(label) {
+        return (label || '').trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+    }
+
+    // Form fields
+    handleItemTypeFieldChange(event) {
+        const { itemType, key } = event.target.dataset;
+        const field = ITEM_TYPE_FIELDS.find(candidate => candidate.key === key);
+        const itemTypes = { ...(this.draft.itemTypes || {}) };
+        itemTypes[itemType] = this.withValue(itemTypes[itemType], key, readFieldValue(field, event.target));
+        this.updateDraft({ ...this.draft, itemTypes: itemTypes });
+    }
+
+    handleGlobalFieldChange(event) {
+        const key = event.target.dataset.key;
+        const field = GLOBAL_FIELDS.find(candidate => candidate.key === key);
+        this.updateDraft({
+            ...this.draft,
+            globalSettings: this.withValue(this.draft.globalSettings, key, readFieldValue(field, event.target))
+        });
+    }
+
+    withValue(settings, key, value) {
+        const updated = { ...(settings || {}) };
+        if (value === undefined) {
+            delete updated[key];
+        } else {
+            updated[key] = value;
+        }
+        return updated;
+    }
+
+    handleNewItemTypeChange(event) {
+        this.newItemType = event.target.value;
+    }
+
+    handleAddItemType() {
+        const name = (this.newItemType || '').trim();
+        const itemTypes = this.draft.itemTypes || {};
+        if (!name || itemTypes[name]) {
+            this.showToast('Error', name ? `${name} is already configured` : 'Enter an item type', 'error');
+            return;
+        }
+        const defaultLoanDays = (this.draft.globalSettings || {}).defaultLoanDays || 14;
+        this.updateDraft({ ...this.draft, itemTypes: { ...itemTypes, [name]: { loanDays: defaultLoanDays } } });
+        this.newItemType = '';
+    }
+
+    handleRemoveItemType(event) {
+        const itemTypes = { ...(this.draft.itemTypes || {}) };
+        delete itemTypes[event.currentTarget.dataset.itemType];
+        this.updateDraft({ ...this.draft, itemTypes: itemTypes });
+    }
+
+    updateDraft(draft) {
+        this.draft = draft;
+        this.jsonText = JSON.stringify(draft, null, 2);
+        this.validationErrors = [];
+    }
+
+    // JSON editing
+    handleModeChange(event) {
+        this.editMode = event.detail.value;
+    }
+
+    handleJsonChange(event) {
+        this.jsonText = event.detail.value;
+        try {
+            const parsed = JSON.parse(this.jsonText);
+            if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('The configuration must be a JSON object');
+            }
+            this.draft = parsed;
+            this.jsonError = undefined;
+            this.validationErrors = [];
+        } catch (error) {
+            this.jsonError = error.message;
+        }
+    }
+
+    // Review and save
+    async handleReview() {
+        try {
+            this.isSaving = true;
+            const validation = await validateConfiguration({ configJson: JSON.stringify(this.draft) });
+            this.validationErrors = validation.errors || [];
+            if (!validation.isValid) {
+                return;
+            }
+
+            this.diffRows = diffConfigurations(this.original, JSON.parse(validation.normalizedJson));
+            const isRenamed = !this.selected.isNew && this.selected.label !== this.currentConfiguration?.Label;
+            if (this.diffRows.length === 0 && !this.selected.isNew && !isRenamed &&
+                this.selected.configurationType === this.currentConfiguration?.Configuration_Type__c) {
+                this.showToast('No Changes', 'This configuration has not been changed', 'info');
+                return;
+            }
+            this.showReviewModal = true;
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Could not validate the configuration', 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    get currentConfiguration() {
+        return this.configurations.find(config => config.DeveloperName === this.selected.developerName);
+    }
+
+    get hasDiffRows() {
+        return this.diffRows.length > 0;
+    }
+
+    handleCloseReview() {
+        this.showReviewModal = false;
+    }
+
+    async handleConfirmSave() {
+        try {
+            this.isSaving = true;
+            const result = await saveConfiguration({
+                change: {
+                    developerName: this.selected.developerName,
+                    label: this.selected.label,
+                    configurationType: this.selected.configurationType,
+                    configJson: JSON.stringify(this.draft)
+                }
+            });
+
+            if (result.isSuccess) {
+                this.showReviewModal = false;
+                this.showToast('Deploying', `${result.message}. Changes apply once the deployment completes.`, 'info');
+                this.pendingDeployment = {
+                    developerName: this.selected.developerName,
+                    json: JSON.stringify(this.draft),
+                    jobId: result.jobId
+                };
+            } else {
+                this.validationErrors = result.errors || [];
+                this.showReviewModal = false;
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Could not save the configuration', 'error');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async handleDeploymentOutcome(outcome) {
+        // Job Ids may come back in their 15 or 18 character form
+        const jobId = this.pendingDeployment ? this.pendingDeployment.jobId : null;
+        if (!jobId || !outcome.Job_Id__c || outcome.Job_Id__c.slice(0, 15) !== jobId.slice(0, 15)) {
+            return;
+        }
+
+        if (outcome.Status__c !== 'Succeeded') {
+            this.pendingDeployment = null;
+            this.showToast('Deployment Failed', outcome.Error_Message__c || `Deployment ${outcome.Status__c}`, 'error');
+            return;
+        }
+        await refreshApex(this.wiredConfigurationsResult);
+
+        // Deployed, even if the stored JSON reads back differently from the draft
+        if (this.pendingDeployment && this.pendingDeployment.jobId === jobId) {
+            const config = this.configurations.find(item => item.DeveloperName === this.pendingDeployment.developerName);
+            this.pendingDeployment = null;
+            this.showToast('Success', `${config ? config.Label : 'Configuration'} deployed`, 'success');
+            if (config) {
+                this.loadConfiguration(config);
+            }
+        }
+    }
+
+    handleCheckDeployment() {
+        refreshApex(this.wiredConfigurationsResult);
+    }
+
+    checkPendingDeployment() {
+        if (!this.pendingDeployment) {
+            return;
+        }
+        const config = this.configurations.find(item => item.DeveloperName === this.pendingDeployment.developerName);
+        if (config && sameConfiguration(config.Configuration_JSON__c, this.pendingDeployment.json)) {
+            this.pendingDeployment = null;
+            this.showToast('Success', `${config.Label} deployed`, 'success');
+            this.loadConfiguration(config);
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -1,11 +1,91 @@
-import { LightningElement, track } from 'lwc';
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { NavigationMixin } from 'lightning/navigation';
+import { loadScript } from 'lightning/platformResourceLoader';
+import chartJs from '@salesforce/resourceUrl/chartJs';
 import getDashboardData from '@salesforce/apex/LibraryDashboardController.getDashboardData';
 import getBorrowingTrends from '@salesforce/apex/LibraryDashboardController.getBorrowingTrends';
+import getDashboardFilterOptions from '@salesforce/apex/LibraryDashboardController.getDashboardFilterOptions';
+import { ITEM_ACTIONS, subscribeToItemChanges, unsubscribeFromItemChanges } from 'c/libraryEvents';
 
-export default class LibraryDashboard extends LightningElement {
+// Status tiles kept in step with live item changes
+const STATUS_COUNTS = {
+    'Available': 'availableCount',
+    'Checked Out': 'checkedOutCount',
+    'Overdue': 'overdueCount',
+    'Lost': 'lostCount',
+    'Maintenance': 'maintenanceCount'
+};
+const MAX_RECENT_ACTIVITY = 20;
+
+// Values match LibraryDashboardController.resolveRange
+const DATE_PRESETS = [
+    { label: 'Last 7 Days', value: 'last7' },
+    { label: 'Last 30 Days', value: 'last30' },
+    { label: 'Last 90 Days', value: 'last90' },
+    { label: 'This Month', value: 'thisMonth' },
+    { label: 'Last Month', value: 'lastMonth' },
+    { label: 'This Year', value: 'thisYear' },
+    { label: 'Custom Range', value: 'custom' }
+];
+
+// Presets whose range ends today, so live changes belong in the period
+const PRESETS_ENDING_TODAY = ['last7', 'last30', 'last90', 'thisMonth', 'thisYear'];
+
+// Multi-value segment filters: selection property and DashboardFilterOptions list for each
+const SEGMENT_FILTERS = {
+    itemType: { label: 'Type', selected: 'selectedItemTypes', options: 'itemTypes' },
+    location: { label: 'Location', selected: 'selectedLocations', options: 'locations' },
+    branch: { label: 'Branch', selected: 'selectedBranches', options: 'branches' },
+    department: { label: 'Department', selected: 'selectedDepartments', options: 'departments' }
+};
+
+// Branches come as { label, value } with the branch Id as value; the other segments are plain values
+const toSegmentOption = option => (typeof option === 'string' ? { label: option, value: option } : option);
+
+// Period KPI tiles; a rise in fines is shown as a change for the worse
+const PERIOD_KPIS = [
+    { key: 'checkoutCount', label: 'Checkouts' },
+    { key: 'returnCount', label: 'Returns' },
+    { key: 'borrowerCount', label: 'Active Borrowers' },
+    { key: 'finesAssessed', label: 'Fines Assessed', isCurrency: true, higherIsWorse: true }
+];
+
+const CHART_COLORS = [
+    'rgb(21, 137, 238)',   // Blue
+    'rgb(75, 202, 129)',   // Green
+    'rgb(255, 154, 60)',   // Orange
+    'rgb(194, 57, 52)',    // Red
+    'rgb(144, 80, 233)',   // Purple
+    'rgb(0, 174, 169)',    // Teal
+    'rgb(112, 110, 107)',  // Gray
+    'rgb(255, 99, 132)',   // Pink
+    'rgb(54, 162, 235)',   // Light Blue
+    'rgb(255, 206, 86)'    // Yellow
+];
+
+export default class LibraryDashboard extends NavigationMixin(LightningElement) {
     @track isLoading = true;
     @track dashboardData = {};
     
+    // Date range and segment filters
+    @track datePreset = 'last30';
+    @track customStartDate = null;
+    @track customEndDate = null;
+    @track selectedItemTypes = [];
+    @track selectedLocations = [];
+    @track selectedBranches = [];
+    @track selectedDepartments = [];
+    @track compareToPrevious = false;
+    @track filterOptions = { itemTypes: [], locations: [], branches: [], departments: [] };
+    periodSummary = null;
+    previousSummary = null;
+    periodStart = null;
+    periodEnd = null;
+    previousStart = null;
+    previousEnd = null;
+    loadRequestId = 0;
+    
     // Data properties
     itemStats = {};
     popularItems = [];
@@ -15,24 +95,263 @@ export default class LibraryDashboard extends LightningElement {
     itemTypeDistribution = [];
     borrowingTrends = [];
     
-    // Chart data for Lightning charts
+    // Chart.js datasets, and the charts drawn from them keyed by the canvas data-chart name
     @track itemTypeChartData = [];
     @track trendChartData = [];
+    isChartJsLoaded = false;
+    chartDataVersion = 0;
+    charts = {};
+
+    itemSubscription = null;
+
+    @wire(getDashboardFilterOptions)
+    wiredFilterOptions({ data }) {
+        if (data) {
+            this.filterOptions = data;
+        }
+    }
 
     connectedCallback() {
         this.loadDashboardData();
+        this.subscribeToLiveUpdates();
+        this.loadChartJs();
+    }
+
+    // The canvases are recreated whenever the loading spinner replaces the content
+    renderedCallback() {
+        this.renderCharts();
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromItemChanges(this.itemSubscription);
+        this.itemSubscription = null;
+        Object.keys(this.charts).forEach(name => this.destroyChart(name));
+    }
+
+    async loadChartJs() {
+        try {
+            await loadScript(this, chartJs);
+            window.Chart.defaults.font.family = "'Salesforce Sans', Arial, sans-serif";
+            this.isChartJsLoaded = true;
+            this.renderCharts();
+        } catch (error) {
+            console.error('Error loading Chart.js:', error);
+            this.showToast('Error', 'Failed to load dashboard charts', 'error');
+        }
+    }
+
+    renderCharts() {
+        if (!this.isChartJsLoaded) {
+            return;
+        }
+        this.renderChart('itemType', () => this.getItemTypeChartConfig());
+        this.renderChart('trend', () => this.getTrendChartConfig());
+    }
+
+    // Draw the chart on its canvas unless it is already showing the current data
+    renderChart(name, getConfig) {
+        const canvas = this.template.querySelector(`canvas[data-chart="${name}"]`);
+        const current = this.charts[name];
+        if (current && current.canvas === canvas && current.version === this.chartDataVersion) {
+            return;
+        }
+
+        this.destroyChart(name);
+        if (canvas) {
+            this.charts[name] = {
+                chart: new window.Chart(canvas.getContext('2d'), getConfig()),
+                canvas: canvas,
+                version: this.chartDataVersion
+            };
+        }
+    }
+
+    destroyChart(name) {
+        if (this.charts[name]) {
+            this.charts[name].chart.destroy();
+            delete this.charts[name];
+        }
+    }
+
+    // Chart.js annotates the data it is given, so each chart gets its own plain copy
+    getItemTypeChartConfig() {
+        return {
+            type: 'doughnut',
+            data: JSON.parse(JSON.stringify(this.itemTypeChartData)),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { position: 'right' },
+                    tooltip: {
+                        callbacks: {
+                            label: context => {
+                                const total = context.dataset.data.reduce((sum, count) => sum + count, 0);
+                                const share = total > 0 ? Math.round((context.parsed / total) * 100) : 0;
+                                return `${context.label}: ${context.parsed} (${share}%)`;
+                            },
+                            afterLabel: context => {
+                                const item = this.itemTypeDistribution[context.dataIndex] || {};
+                                return `Available: ${item.availableCount || 0} | Checked Out: ${item.checkedOutCount || 0}`;
+                            }
+                        }
+                    }
+                },
+                onHover: this.setChartCursor,
+                onClick: (event, elements) => this.handleItemTypeChartClick(elements)
+            }
+        };
+    }
+
+    getTrendChartConfig() {
+        return {
+            type: 'line',
+            data: JSON.parse(JSON.stringify(this.trendChartData)),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    y: { beginAtZero: true, ticks: { precision: 0 } }
+                },
+                plugins: {
+                    legend: { display: this.isComparing, position: 'bottom' },
+                    tooltip: {
+                        callbacks: {
+                            title: contexts => this.formatDate((this.borrowingTrends[contexts[0].dataIndex] || {}).dateValue),
+                            label: context => {
+                                if (context.datasetIndex === 0) {
+                                    return `Checkouts: ${context.parsed.y}`;
+                                }
+                                const trend = this.borrowingTrends[context.dataIndex] || {};
+                                return `${this.formatDate(trend.previousDateValue)}: ${context.parsed.y}`;
+                            }
+                        }
+                    }
+                },
+                onHover: this.setChartCursor,
+                onClick: (event, elements) => this.handleTrendChartClick(elements)
+            }
+        };
+    }
+
+    // Pointer cursor over the segments and points that open the items list
+    setChartCursor(event, elements) {
+        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+    }
+
+    handleItemTypeChartClick(elements) {
+        const item = elements.length > 0 ? this.itemTypeDistribution[elements[0].index] : null;
+        if (item && item.itemType) {
+            this.navigateToItemsList({ c__itemType: item.itemType });
+        }
+    }
+
+    // Opens the items checked out on the clicked day of the current period
+    handleTrendChartClick(elements) {
+        const trend = elements.length > 0 ? this.borrowingTrends[elements[0].index] : null;
+        if (trend && trend.dateValue) {
+            this.navigateToItemsList({ c__checkoutDate: trend.dateValue });
+        }
+    }
+
+    handleStatusTileClick(event) {
+        this.navigateToItemsList({ c__status: event.currentTarget.dataset.status });
+    }
+
+    // Open libraryItemsList filtered by the clicked value and the dashboard's item type and branch selection
+    navigateToItemsList(filters) {
+        const state = { ...filters };
+        if (!state.c__itemType && this.selectedItemTypes.length > 0) {
+            state.c__itemType = this.selectedItemTypes.join(',');
+        }
+        if (this.selectedBranches.length > 0) {
+            state.c__branch = this.selectedBranches.join(',');
+        }
+        this[NavigationMixin.Navigate]({
+            type: 'standard__component',
+            attributes: { componentName: 'c__libraryItemsList' },
+            state: state
+        });
+    }
+
+    async subscribeToLiveUpdates() {
+        this.itemSubscription = await subscribeToItemChanges(change => this.applyItemChange(change));
+    }
+
+    // Move the changed item between status tiles and add checkouts and returns to Recent Activity
+    applyItemChange(change) {
+        if (this.isLoading || !this.matchesSegment(change)) {
+            return;
+        }
+
+        if (change.previousStatus && change.previousStatus !== change.status) {
+            const stats = { ...this.itemStats };
+            const fromKey = STATUS_COUNTS[change.previousStatus];
+            const toKey = STATUS_COUNTS[change.status];
+            if (fromKey) {
+                stats[fromKey] = Math.max((stats[fromKey] || 0) - 1, 0);
+            }
+            if (toKey) {
+                stats[toKey] = (stats[toKey] || 0) + 1;
+            }
+            if (stats.totalCount > 0) {
+                stats.availablePercentage = Math.floor((stats.availableCount * 100) / stats.totalCount);
+                stats.checkedOutPercentage = Math.floor((stats.checkedOutCount * 100) / stats.totalCount);
+                stats.overduePercentage = Math.round((stats.overdueCount / stats.totalCount) * 100);
+            }
+            this.itemStats = stats;
+            this.overdueStats = { ...this.overdueStats, totalOverdue: stats.overdueCount };
+        }
+
+        const isInPeriod = PRESETS_ENDING_TODAY.includes(this.datePreset);
+        if (isInPeriod && (change.action === ITEM_ACTIONS.CHECKOUT || change.action === ITEM_ACTIONS.RETURN)) {
+            const isCheckout = change.action === ITEM_ACTIONS.CHECKOUT;
+            this.recentActivity = [
+                {
+                    itemName: change.itemName,
+                    borrowerName: change.loanBorrowerName,
+                    status: change.status,
+                    actionDate: change.changedAt,
+                    actionType: isCheckout ? 'Checked Out' : 'Returned',
+                    badgeClass: isCheckout ? '' : 'slds-theme_success'
+                },
+                ...this.recentActivity
+            ].slice(0, MAX_RECENT_ACTIVITY);
+        }
+    }
+
+    // Live changes only carry the item type, so they are skipped while filtering by location, branch or department
+    matchesSegment(change) {
+        return this.selectedLocations.length === 0 &&
+            this.selectedBranches.length === 0 &&
+            this.selectedDepartments.length === 0 &&
+            (this.selectedItemTypes.length === 0 || this.selectedItemTypes.includes(change.itemType));
     }
 
     async loadDashboardData() {
+        // Wait until both ends of a custom range are picked
+        if (this.isCustomRange && (!this.customStartDate || !this.customEndDate)) {
+            return;
+        }
+
+        const requestId = ++this.loadRequestId;
+        const filter = this.dashboardFilter;
         try {
             this.isLoading = true;
             
-            // Load main dashboard data
-            const data = await getDashboardData();
+            // Load main dashboard data and trends for the same filter
+            const [data, trends] = await Promise.all([
+                getDashboardData({ filter }),
+                getBorrowingTrends({ filter })
+            ]);
+
+            // A newer filter change has already been sent
+            if (requestId !== this.loadRequestId) {
+                return;
+            }
+
             this.processDashboardData(data);
-            
-            // Load trending data
-            const trends = await getBorrowingTrends();
             this.borrowingTrends = trends || [];
             
             // Prepare chart data
@@ -41,13 +360,210 @@ export default class LibraryDashboard extends LightningElement {
         } catch (error) {
             console.error('Error loading dashboard data:', error);
             // Show error to user
-            this.showToast('Error', 'Failed to load dashboard data', 'error');
+            this.showToast('Error', error.body?.message || 'Failed to load dashboard data', 'error');
         } finally {
-            this.isLoading = false;
+            if (requestId === this.loadRequestId) {
+                this.isLoading = false;
+            }
         }
     }
 
+    // DashboardFilter sent with every request
+    get dashboardFilter() {
+        return {
+            preset: this.datePreset,
+            startDate: this.isCustomRange ? this.customStartDate : null,
+            endDate: this.isCustomRange ? this.customEndDate : null,
+            itemTypes: this.selectedItemTypes,
+            locations: this.selectedLocations,
+            branches: this.selectedBranches,
+            departments: this.selectedDepartments,
+            compareToPrevious: this.compareToPrevious
+        };
+    }
+
+    get datePresetOptions() {
+        return DATE_PRESETS;
+    }
+
+    get isCustomRange() {
+        return this.datePreset === 'custom';
+    }
+
+    get itemTypeFilterOptions() {
+        return this.getSegmentOptions('itemType', 'All Item Types');
+    }
+
+    get locationFilterOptions() {
+        return this.getSegmentOptions('location', 'All Locations');
+    }
+
+    get branchFilterOptions() {
+        return this.getSegmentOptions('branch', 'All Branches');
+    }
+
+    get departmentFilterOptions() {
+        return this.getSegmentOptions('department', 'All Departments');
+    }
+
+    // Combobox options - values already selected are left out
+    getSegmentOptions(filterName, placeholder) {
+        const filter = SEGMENT_FILTERS[filterName];
+        const selected = this[filter.selected];
+        return [
+            { label: placeholder, value: '' },
+            ...(this.filterOptions[filter.options] || [])
+                .map(toSegmentOption)
+                .filter(option => !selected.includes(option.value))
+        ];
+    }
+
+    getSegmentLabel(filter, value) {
+        const match = (this.filterOptions[filter.options] || [])
+            .map(toSegmentOption)
+            .find(option => option.value === value);
+        return match ? match.label : value;
+    }
+
+    // Selected segment values shown as removable pills
+    get segmentPills() {
+        const pills = [];
+        Object.keys(SEGMENT_FILTERS).forEach(filterName => {
+            const filter = SEGMENT_FILTERS[filterName];
+            this[filter.selected].forEach(value => {
+                pills.push({
+                    key: `${filterName}:${value}`,
+                    label: `${filter.label}: ${this.getSegmentLabel(filter, value)}`,
+                    filterName: filterName,
+                    value: value
+                });
+            });
+        });
+        return pills;
+    }
+
+    get hasSegmentPills() {
+        return this.segmentPills.length > 0;
+    }
+
+    handlePresetChange(event) {
+        this.datePreset = event.detail.value;
+        this.loadDashboardData();
+    }
+
+    handleCustomDateChange(event) {
+        if (event.target.dataset.field === 'start') {
+            this.customStartDate = event.target.value;
+        } else {
+            this.customEndDate = event.target.value;
+        }
+        this.loadDashboardData();
+    }
+
+    handleSegmentSelect(event) {
+        const value = event.detail.value;
+        const filter = SEGMENT_FILTERS[event.target.dataset.filter];
+        // Reset the combobox so it can be used to add another value
+        event.target.value = '';
+        if (value && !this[filter.selected].includes(value)) {
+            this[filter.selected] = [...this[filter.selected], value];
+            this.loadDashboardData();
+        }
+    }
+
+    handleSegmentRemove(event) {
+        const { filter: filterName, value } = event.currentTarget.dataset;
+        const filter = SEGMENT_FILTERS[filterName];
+        this[filter.selected] = this[filter.selected].filter(selected => selected !== value);
+        this.loadDashboardData();
+    }
+
+    handleClearSegments() {
+        this.selectedItemTypes = [];
+        this.selectedLocations = [];
+        this.selectedBranches = [];
+        this.selectedDepartments = [];
+        this.loadDashboardData();
+    }
+
+    handleCompareToggle(event) {
+        this.compareToPrevious = event.target.checked;
+        this.loadDashboardData();
+    }
+
+    get periodLabel() {
+        const preset = DATE_PRESETS.find(option => option.value === this.datePreset);
+        if (this.isCustomRange || !preset) {
+            return `${this.formatDate(this.periodStart)} - ${this.formatDate(this.periodEnd)}`;
+        }
+        return preset.label;
+    }
+
+    get previousPeriodLabel() {
+        return `${this.formatDate(this.previousStart)} - ${this.formatDate(this.previousEnd)}`;
+    }
+
+    get isComparing() {
+        return this.compareToPrevious && this.previousSummary != null;
+    }
+
+    // Apex Dates arrive as YYYY-MM-DD; format them without shifting time zones
+    formatDate(dateValue, options = { month: 'short', day: 'numeric', year: 'numeric' }) {
+        if (!dateValue) {
+            return '';
+        }
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', options);
+    }
+
+    // Period KPI tiles with the change against the previous period when comparing
+    get periodKpis() {
+        if (!this.periodSummary) {
+            return [];
+        }
+
+        return PERIOD_KPIS.map(kpi => {
+            const value = this.periodSummary[kpi.key] || 0;
+            const tile = {
+                ...kpi,
+                value: value,
+                displayValue: kpi.isCurrency ? `$${Number(value).toFixed(2)}` : value,
+                hasChange: false
+            };
+
+            if (this.isComparing) {
+                const previous = this.previousSummary[kpi.key] || 0;
+                Object.assign(tile, this.describeChange(value, previous, kpi.higherIsWorse), { hasChange: true });
+            }
+            return tile;
+        });
+    }
+
+    // "▲ 25% vs previous period", coloured by whether the change is good or bad
+    describeChange(value, previous, higherIsWorse = false) {
+        const difference = value - previous;
+        if (difference === 0) {
+            return { changeLabel: 'No change vs previous period', changeClass: 'slds-text-body_small slds-text-color_weak' };
+        }
+
+        const arrow = difference > 0 ? '▲' : '▼';
+        const amount = previous > 0 ?
+            `${Math.round((Math.abs(difference) / previous) * 100)}%` :
+            `${Math.abs(Math.round(difference * 100) / 100)}`;
+        const isBetter = (difference > 0) !== higherIsWorse;
+        return {
+            changeLabel: `${arrow} ${amount} vs previous period`,
+            changeClass: `slds-text-body_small ${isBetter ? 'slds-text-color_success' : 'slds-text-color_error'}`
+        };
+    }
+
     processDashboardData(data) {
+        this.periodSummary = data.periodSummary || null;
+        this.previousSummary = data.previousSummary || null;
+        this.periodStart = data.startDate;
+        this.periodEnd = data.endDate;
+        this.previousStart = data.previousStartDate;
+        this.previousEnd = data.previousEndDate;
         this.itemStats = data.itemStats || {};
         this.popularItems = data.popularItems || [];
         this.topBorrowers = data.topBorrowers || [];
@@ -97,11 +613,14 @@ export default class LibraryDashboard extends LightningElement {
     }
 
     prepareChartData() {
-        // Prepare Item Type Distribution data for Lightning chart
+        // Prepare Item Type Distribution data for the doughnut chart
         this.prepareItemTypeChartData();
         
-        // Prepare Trend Chart data for Lightning chart
+        // Prepare Trend Chart data for the line chart
         this.prepareTrendChartData();
+
+        // Charts are redrawn on the next render
+        this.chartDataVersion++;
     }
 
     prepareItemTypeChartData() {
@@ -110,24 +629,10 @@ export default class LibraryDashboard extends LightningElement {
             return;
         }
 
-        // Lightning charts expect data in a specific format
-        // For a pie/donut chart, we'll use a bar chart as Lightning doesn't have native donut
         const labels = [];
         const data = [];
-        const backgroundColors = [
-            'rgb(21, 137, 238)',   // Blue
-            'rgb(75, 202, 129)',   // Green
-            'rgb(255, 154, 60)',   // Orange
-            'rgb(194, 57, 52)',    // Red
-            'rgb(144, 80, 233)',   // Purple
-            'rgb(0, 174, 169)',    // Teal
-            'rgb(112, 110, 107)',  // Gray
-            'rgb(255, 99, 132)',   // Pink
-            'rgb(54, 162, 235)',   // Light Blue
-            'rgb(255, 206, 86)'    // Yellow
-        ];
 
-        this.itemTypeDistribution.forEach((item, index) => {
+        this.itemTypeDistribution.forEach(item => {
             labels.push(item.itemType || 'Unknown');
             data.push(item.totalCount || 0);
         });
@@ -137,8 +642,10 @@ export default class LibraryDashboard extends LightningElement {
             datasets: [{
                 label: 'Items by Type',
                 data: data,
-                backgroundColor: backgroundColors.slice(0, labels.length),
-                borderWidth: 1
+                backgroundColor: labels.map((label, index) => CHART_COLORS[index % CHART_COLORS.length]),
+                borderColor: '#fff',
+                borderWidth: 2,
+                hoverOffset: 8
             }]
         };
     }
@@ -151,13 +658,14 @@ export default class LibraryDashboard extends LightningElement {
 
         const labels = [];
         const data = [];
+        const previousData = [];
 
         this.borrowingTrends.forEach(trend => {
             if (trend.dateValue) {
                 // Format date for display
-                const date = new Date(trend.dateValue);
-                labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+                labels.push(this.formatDate(trend.dateValue, { month: 'short', day: 'numeric' }));
                 data.push(trend.checkoutCount || 0);
+                previousData.push(trend.previousCount || 0);
             }
         });
 
@@ -177,6 +685,19 @@ export default class LibraryDashboard extends LightningElement {
                 pointHoverRadius: 6
             }]
         };
+
+        // Previous period on the same days-from-start axis
+        if (this.isComparing) {
+            this.trendChartData.datasets.push({
+                label: 'Previous Period',
+                data: previousData,
+                fill: false,
+                borderColor: 'rgb(112, 110, 107)',
+                borderDash: [5, 5],
+                tension: 0.4,
+                pointRadius: 0
+            });
+        }
     }
 
     refreshDashboard() {
@@ -197,57 +718,20 @@ export default class LibraryDashboard extends LightningElement {
         return this.trendChartData && this.trendChartData.labels && this.trendChartData.labels.length > 0;
     }
 
-    // Create simple bar chart data for visualization
-    get itemTypeBarData() {
-        if (!this.itemTypeDistribution || this.itemTypeDistribution.length === 0) {
-            return [];
-        }
-
-        // Find max value for scaling
-        const maxValue = Math.max(...this.itemTypeDistribution.map(item => item.totalCount || 0));
-
-        return this.itemTypeDistribution.map((item, index) => {
-            const colors = [
-                '#1589ee', '#4bca81', '#ff9a3c', '#c23934', 
-                '#9050e9', '#00aea9', '#706e6b', '#ff6384'
-            ];
-            
-            const percentageValue = maxValue > 0 ? Math.round((item.totalCount / maxValue) * 100) : 0;
-            
-            return {
-                itemType: item.itemType || 'Unknown',
-                totalCount: item.totalCount || 0,
-                availableCount: item.availableCount || 0,
-                checkedOutCount: item.checkedOutCount || 0,
-                percentage: percentageValue,
-                color: colors[index % colors.length]
-            };
-        });
-    }
-
-    // Create sparkline data for trends
-    get trendSparklineData() {
+    // Add computed property for total checkouts
+    get totalCheckouts() {
         if (!this.borrowingTrends || this.borrowingTrends.length === 0) {
-            return [];
+            return 0;
         }
+        return this.borrowingTrends.reduce((sum, trend) => sum + (trend.checkoutCount || 0), 0);
+    }
 
-        const maxValue = Math.max(...this.borrowingTrends.map(trend => trend.checkoutCount || 0));
-        
-        return this.borrowingTrends.map(trend => ({
-            date: trend.dateValue ? new Date(trend.dateValue).toLocaleDateString() : '',
-            count: trend.checkoutCount || 0,
-            heightPercentage: maxValue > 0 ? ((trend.checkoutCount / maxValue) * 100) : 0,
-            // Add a computed style string for the template
-            barStyle: `height: ${maxValue > 0 ? ((trend.checkoutCount / maxValue) * 100) : 0}%; background: linear-gradient(to top, #1589ee, #4bca81); border-radius: 2px 2px 0 0; position: relative;`
-        }));
+    get totalPreviousCheckouts() {
+        return (this.borrowingTrends || []).reduce((sum, trend) => sum + (trend.previousCount || 0), 0);
     }
 
-    // Add computed property for total checkouts
-    get totalCheckouts() {
-        if (!this.trendSparklineData || this.trendSparklineData.length === 0) {
-            return 0;
-        }
-        return this.trendSparklineData.reduce((sum, trend) => sum + trend.count, 0);
+    get trendChange() {
+        return this.describeChange(this.totalCheckouts, this.totalPreviousCheckouts);
     }
 
     // Add computed properties for checking if arrays have data
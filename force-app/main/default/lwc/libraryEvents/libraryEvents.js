@@ -0,0 +1,64 @@
+/**
+ * Live item updates. LibraryEventService publishes a Library_Item_Event__e for every
+ * checkout, return, renewal and status change; components subscribe here and patch
+ * the affected rows instead of reloading.
+ */
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+
+export const ITEM_EVENT_CHANNEL = '/event/Library_Item_Event__e';
+
+// Action__c values, matching LibraryEventService
+export const ITEM_ACTIONS = {
+    CHECKOUT: 'Checkout',
+    RETURN: 'Return',
+    RENEW: 'Renew',
+    STATUS: 'Status'
+};
+
+let isErrorHandlerRegistered = false;
+
+// Flatten a streaming message into the change it describes; blank fields come through as null
+export function toItemChange(message) {
+    const payload = (message && message.data && message.data.payload) || {};
+    return {
+        itemId: payload.Item_Id__c,
+        itemName: payload.Item_Name__c,
+        barcode: payload.Barcode__c,
+        itemType: payload.Item_Type__c,
+        action: payload.Action__c,
+        previousStatus: payload.Previous_Status__c || null,
+        status: payload.Current_Status__c,
+        borrowerId: payload.Current_Borrower_Id__c || null,
+        borrowerName: payload.Current_Borrower_Name__c || null,
+        recordId: payload.Borrowing_Record_Id__c || null,
+        loanBorrowerName: payload.Borrower_Name__c || null,
+        dueDate: payload.Due_Date__c || null,
+        changedById: payload.Changed_By_Id__c,
+        changedAt: payload.CreatedDate || new Date().toISOString()
+    };
+}
+
+/**
+ * Call onChange with each item change. Resolves to the subscription to pass to
+ * unsubscribeFromItemChanges, or null when streaming is unavailable - the component's
+ * refresh button still works then.
+ */
+export async function subscribeToItemChanges(onChange) {
+    if (!isErrorHandlerRegistered) {
+        onError(error => console.error('Live item updates error:', JSON.stringify(error)));
+        isErrorHandlerRegistered = true;
+    }
+
+    try {
+        return await subscribe(ITEM_EVENT_CHANNEL, -1, message => onChange(toItemChange(message)));
+    } catch (error) {
+        console.error('Unable to subscribe to live item updates:', error);
+        return null;
+    }
+}
+
+export function unsubscribeFromItemChanges(subscription) {
+    if (subscription) {
+        unsubscribe(subscription, () => {});
+    }
+}
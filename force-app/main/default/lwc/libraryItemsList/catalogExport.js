@@ -0,0 +1,68 @@
+/**
+ * Catalog export helpers for libraryItemsList.
+ * Rows come from LibraryItemService.getCatalogExportPage (ExportRow) and are
+ * written with only the columns the user picked, in the order listed here.
+ */
+
+import { toCsv } from 'c/csvUtils';
+
+export const EXPORT_PAGE_SIZE = 500;
+
+export const EXPORT_FORMATS = [
+    { label: 'CSV', value: 'csv' },
+    { label: 'JSON', value: 'json' }
+];
+
+export const EXPORT_COLUMNS = [
+    { key: 'itemName', label: 'Item Name', selected: true },
+    { key: 'itemType', label: 'Item Type', selected: true },
+    { key: 'category', label: 'Category', selected: true },
+    { key: 'authorManufacturer', label: 'Author / Manufacturer', selected: true },
+    { key: 'barcode', label: 'Barcode', selected: true },
+    { key: 'isbnSerial', label: 'ISBN / Serial', selected: false },
+    { key: 'status', label: 'Status', selected: true },
+    { key: 'borrowerName', label: 'Current Borrower', selected: true },
+    { key: 'checkoutDate', label: 'Checkout Date', selected: false },
+    { key: 'dueDate', label: 'Due Date', selected: true },
+    { key: 'location', label: 'Location', selected: true },
+    { key: 'condition', label: 'Condition', selected: false },
+    { key: 'purchaseDate', label: 'Purchase Date', selected: false },
+    { key: 'notes', label: 'Notes', selected: false },
+    { key: 'recordName', label: 'Record Number', selected: false },
+    { key: 'itemId', label: 'Record Id', selected: false }
+];
+
+function pickColumns(selectedKeys) {
+    return EXPORT_COLUMNS.filter(column => selectedKeys.includes(column.key));
+}
+
+export function buildCsv(rows, selectedKeys) {
+    const columns = pickColumns(selectedKeys);
+    return toCsv(
+        columns.map(column => column.label),
+        rows.map(row => columns.map(column => row[column.key]))
+    );
+}
+
+export function buildJson(rows, selectedKeys, criteria) {
+    const columns = pickColumns(selectedKeys);
+    const items = rows.map(row => {
+        const item = {};
+        columns.forEach(column => {
+            item[column.key] = row[column.key] === undefined ? null : row[column.key];
+        });
+        return item;
+    });
+
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        criteria: criteria,
+        count: items.length,
+        items: items
+    }, null, 2);
+}
+
+export function exportFileName(format) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    return `library-catalog-${stamp}.${format}`;
+}
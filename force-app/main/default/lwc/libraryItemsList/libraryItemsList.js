@@ -1,88 +1,303 @@
 import { LightningElement, track, wire } from 'lwc';
-import { NavigationMixin } from 'lightning/navigation';
+import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex} from '@salesforce/apex';
-import getAllLibraryItems from '@salesforce/apex/LibraryItemService.getAllLibraryItems';
+import getCatalogPage from '@salesforce/apex/LibraryItemService.getCatalogPage';
+import getCatalogFilterOptions from '@salesforce/apex/LibraryItemService.getCatalogFilterOptions';
 import checkoutItem from '@salesforce/apex/BorrowingRecordService.checkoutItem';
-import returnItem from '@salesforce/apex/BorrowingRecordService.returnItem';
 import renewItem from '@salesforce/apex/BorrowingRecordService.renewItem';
+import placeHold from '@salesforce/apex/ItemHoldService.placeHold';
+import getHoldQueueSummary from '@salesforce/apex/ItemHoldService.getHoldQueueSummary';
+import getCategoryRestrictions from '@salesforce/apex/CirculationRestrictionService.getCategoryRestrictions';
+import getCatalogExportPage from '@salesforce/apex/LibraryItemService.getCatalogExportPage';
+import returnItemWithCondition from '@salesforce/apex/BorrowingRecordService.returnItemWithCondition';
+import getOpenTicket from '@salesforce/apex/MaintenanceService.getOpenTicket';
+import closeTicket from '@salesforce/apex/MaintenanceService.closeTicket';
+import isLibrarian from '@salesforce/apex/LibraryPermissionHelper.isLibrarian';
 import Id from '@salesforce/user/Id';
+import { downloadFile } from 'c/csvUtils';
+import {
+    EXPORT_PAGE_SIZE,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    buildCsv,
+    buildJson,
+    exportFileName
+} from './catalogExport';
+import {
+    LABEL_FORMATS,
+    SYMBOLOGIES,
+    DEFAULT_LABEL_OPTIONS,
+    MAX_LABEL_COPIES,
+    labelsPerSheet,
+    printLabelSheet
+} from 'c/barcodeLabels';
+import {
+    CONDITION_OPTIONS,
+    RETURN_CONDITION_OPTIONS,
+    CAUSE_OPTIONS,
+    createAssessment,
+    updateAssessment,
+    toApexAssessment
+} from 'c/conditionAssessment';
+import { subscribeToItemChanges, unsubscribeFromItemChanges } from 'c/libraryEvents';
+
+// Table columns; sortKey matches LibraryItemDAO.CATALOG_SORT_FIELDS
+const COLUMNS = [
+    { label: 'Item Name', sortKey: 'name' },
+    { label: 'Type', sortKey: 'type' },
+    { label: 'Category', sortKey: 'category' },
+    { label: 'Author/Manufacturer', sortKey: 'author' },
+    { label: 'Barcode', sortKey: 'barcode' },
+    { label: 'Status', sortKey: 'status' },
+    { label: 'Current Borrower', sortKey: 'borrower' },
+    { label: 'Location', sortKey: 'location' }
+];
+
+// Multi-value filters: selection property and CatalogFilterOptions list for each
+const FILTERS = {
+    itemType: { label: 'Type', selected: 'selectedItemTypes', options: 'itemTypes' },
+    status: { label: 'Status', selected: 'selectedStatuses', options: 'statuses' },
+    category: { label: 'Category', selected: 'selectedCategories', options: 'categories' },
+    branch: { label: 'Branch', selected: 'selectedBranches', options: 'branches' }
+};
+
+// Statuses ItemHoldService.placeHold accepts - items that will come back into circulation
+const HOLDABLE_STATUSES = ['Checked Out', 'Overdue', 'On Hold', 'In Transit'];
+
+// Comma-separated c__itemType, c__status and c__branch page state values, as sent by libraryDashboard
+const toFilterValues = value => (value ? value.split(',').filter(Boolean) : []);
 
 export default class LibraryItemsList extends NavigationMixin(LightningElement) {
-    @track allItems = [];
-    @track filteredItems = [];
-    @track displayedItems = []; // New: Items shown on current page
+    @track displayedItems = []; // Items on the current page, fetched from the server
     @track searchTerm = '';
-    @track selectedItemType = '';
-    @track selectedStatus = '';
+    @track selectedItemTypes = [];
+    @track selectedStatuses = [];
+    @track selectedCategories = [];
+    @track selectedBranches = [];
+    @track checkoutDate = null; // Only items checked out on this day (YYYY-MM-DD)
+    @track filterOptions = { itemTypes: [], statuses: [], categories: [], branches: [], totalCount: 0 };
     @track isLoading = true;
     @track error;
     @track sortDirection = 'asc';
-    @track sortedBy = '';
+    @track sortedBy = 'name';
     @track showCheckoutModal = false;
     @track showReturnModal = false;
     @track selectedItem = null;
     @track selectedBorrower = '';
     @track borrowingLimits = {};
     @track isProcessing = false;
+    @track returnAssessment = createAssessment();
+
+    // Repair ticket being closed from the Complete Repair action
+    @track showRepairModal = false;
+    @track repairTicket = null;
+    @track repairForm = { resolution: '', repairCost: null, condition: '' };
+
+    // Export properties
+    @track showExportModal = false;
+    @track exportFormat = 'csv';
+    @track exportColumns = EXPORT_COLUMNS.filter(column => column.selected).map(column => column.key);
+    @track isExporting = false;
+    @track exportedCount = 0;
+
+    // Rows selected for label printing, kept across pages
+    @track selectedItemIds = [];
+    @track showLabelModal = false;
+    @track labelOptions = { ...DEFAULT_LABEL_OPTIONS };
+    selectedLabelItems = new Map();
 
     // Pagination properties
     @track currentPage = 1;
     @track pageSize = 25; // Items per page
     @track totalPages = 0;
+    @track totalCount = 0; // Items matching the current search and filters
+    @track hasNextPage = false;
+    @track hasPreviousPage = false;
 
     currentUserId = Id;
-    wiredItemsResult;
+    isLibrarianUser = false;
+    wiredFilterOptionsResult;
+    wiredHoldsResult;
+    holdQueueByItem = {};
+    restrictionByCategory = {};
+    lastPageRequest = { pageDirection: 'first', cursorId: null, pageNumber: 1 };
+    pageRequestId = 0;
+    itemSubscription = null;
+
+    @wire(getCatalogFilterOptions)
+    wiredFilterOptions(result) {
+        this.wiredFilterOptionsResult = result;
+        if (result.data) {
+            this.filterOptions = result.data;
+        }
+    }
+
+    // Opened from a dashboard chart or tile: start from the filters in the page state
+    @wire(CurrentPageReference)
+    wiredPageReference(pageReference) {
+        const state = (pageReference && pageReference.state) || {};
+        if (!state.c__itemType && !state.c__status && !state.c__branch && !state.c__checkoutDate) {
+            return;
+        }
+
+        this.searchTerm = '';
+        this.selectedItemTypes = toFilterValues(state.c__itemType);
+        this.selectedStatuses = toFilterValues(state.c__status);
+        this.selectedCategories = [];
+        this.selectedBranches = toFilterValues(state.c__branch);
+        this.checkoutDate = state.c__checkoutDate || null;
+        this.applyFilters();
+    }
 
-    @wire(getAllLibraryItems)
-    wiredItems(result) {
-        this.wiredItemsResult = result;
+    @wire(getHoldQueueSummary)
+    wiredHolds(result) {
+        this.wiredHoldsResult = result;
         if (result.data) {
-            this.allItems = this.processItemData(result.data);
-            this.filteredItems = [...this.allItems];
-            this.updatePagination();
-            this.error = undefined;
-            this.isLoading = false;
-        } else if (result.error) {
-            this.error = result.error.body?.message || 'Error loading library items';
-            this.allItems = [];
-            this.filteredItems = [];
-            this.displayedItems = [];
-            this.isLoading = false;
+            this.holdQueueByItem = {};
+            result.data.forEach(info => {
+                this.holdQueueByItem[info.itemId] = info;
+            });
+            this.applyHoldInfo();
+        }
+    }
+
+    // Category rules from configuration; an item's own restriction takes precedence
+    @wire(getCategoryRestrictions)
+    wiredCategoryRestrictions({ data }) {
+        if (data) {
+            this.restrictionByCategory = data;
+            this.displayedItems = this.displayedItems.map(item => ({ ...item, ...this.getRestrictionInfo(item) }));
         }
     }
 
+    @wire(isLibrarian)
+    wiredLibrarian({ data }) {
+        this.isLibrarianUser = data === true;
+    }
+
     connectedCallback() {
         this.selectedBorrower = this.currentUserId;
+        this.loadPage('first');
+        this.subscribeToLiveUpdates();
     }
 
-    // Pagination computed properties
-    get startRecord() {
-        return (this.currentPage - 1) * this.pageSize + 1;
+    disconnectedCallback() {
+        unsubscribeFromItemChanges(this.itemSubscription);
+        this.itemSubscription = null;
     }
 
-    get endRecord() {
-        return Math.min(this.currentPage * this.pageSize, this.filteredItems.length);
+    async subscribeToLiveUpdates() {
+        this.itemSubscription = await subscribeToItemChanges(change => this.applyItemChange(change));
+    }
+
+    /**
+     * Patch the row of an item changed in any session. Items not on this page are left
+     * alone; they show the new status the next time their page loads.
+     */
+    applyItemChange(change) {
+        const index = this.displayedItems.findIndex(item => item.Id === change.itemId);
+        if (index < 0) {
+            return;
+        }
+
+        const [updatedItem] = this.processItemData([{
+            ...this.displayedItems[index],
+            Current_Status__c: change.status,
+            Current_Borrower__c: change.borrowerId,
+            Current_Borrower__r: change.borrowerId ? { Id: change.borrowerId, Name: change.borrowerName } : null
+        }]);
+        this.displayedItems = [
+            ...this.displayedItems.slice(0, index),
+            updatedItem,
+            ...this.displayedItems.slice(index + 1)
+        ];
+
+        // Returns and cancellations can move the hold queue along
+        if (change.status === 'On Hold' || change.previousStatus === 'On Hold') {
+            refreshApex(this.wiredHoldsResult);
+        }
+    }
+
+    /**
+     * Fetch one page from the server. pageDirection is 'first', 'next', 'previous' or 'last';
+     * next and previous continue from the last or first item on screen.
+     */
+    async loadPage(pageDirection, cursorId = null, pageNumber = 1) {
+        const requestId = ++this.pageRequestId;
+        this.isLoading = true;
+
+        try {
+            const page = await getCatalogPage({
+                query: {
+                    ...this.catalogCriteria,
+                    pageSize: this.pageSize,
+                    pageDirection: pageDirection,
+                    cursorId: cursorId
+                }
+            });
+
+            // A newer search or page change has already been sent
+            if (requestId !== this.pageRequestId) {
+                return;
+            }
+
+            this.lastPageRequest = { pageDirection, cursorId, pageNumber };
+            this.totalCount = page.totalCount;
+            this.totalPages = Math.ceil(page.totalCount / this.pageSize);
+            this.currentPage = pageDirection === 'last' ? Math.max(this.totalPages, 1) : pageNumber;
+            this.hasNextPage = page.hasNext;
+            this.hasPreviousPage = page.hasPrevious;
+            this.displayedItems = this.processItemData(page.items);
+            this.error = undefined;
+        } catch (error) {
+            if (requestId !== this.pageRequestId) {
+                return;
+            }
+            this.error = error.body?.message || 'Error loading library items';
+            this.displayedItems = [];
+            this.totalCount = 0;
+            this.totalPages = 0;
+        } finally {
+            if (requestId === this.pageRequestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    // Search, filters and sort sent with every page and export request
+    get catalogCriteria() {
+        return {
+            searchTerm: this.searchTerm || null,
+            itemTypes: this.selectedItemTypes,
+            statuses: this.selectedStatuses,
+            categories: this.selectedCategories,
+            branches: this.selectedBranches,
+            checkoutDate: this.checkoutDate,
+            sortBy: this.sortedBy,
+            sortDirection: this.sortDirection
+        };
     }
 
-    get hasPreviousPage() {
-        return this.currentPage > 1;
+    // Pagination computed properties
+    get startRecord() {
+        return this.totalCount === 0 ? 0 : (this.currentPage - 1) * this.pageSize + 1;
     }
 
-    get hasNextPage() {
-        return this.currentPage < this.totalPages;
+    get endRecord() {
+        return Math.min(this.startRecord + this.displayedItems.length - 1, this.totalCount);
     }
 
     get disablePreviousPage() {
-        return !this.hasPreviousPage;
+        return !this.hasPreviousPage || this.isLoading;
     }
 
     get disableNextPage() {
-        return !this.hasNextPage;
+        return !this.hasNextPage || this.isLoading;
     }
 
     get paginationInfo() {
-        return `${this.startRecord}-${this.endRecord} of ${this.filteredItems.length} items`;
+        return `${this.startRecord}-${this.endRecord} of ${this.totalCount} items`;
     }
 
     get showPagination() {
@@ -99,51 +314,29 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
     }
 
     // Pagination methods
-    updatePagination() {
-        this.totalPages = Math.ceil(this.filteredItems.length / this.pageSize);
-        
-        // Reset to page 1 if current page is beyond total pages
-        if (this.currentPage > this.totalPages && this.totalPages > 0) {
-            this.currentPage = 1;
-        }
-        
-        this.updateDisplayedItems();
-    }
-
-    updateDisplayedItems() {
-        const startIndex = (this.currentPage - 1) * this.pageSize;
-        const endIndex = startIndex + this.pageSize;
-        this.displayedItems = this.filteredItems.slice(startIndex, endIndex);
-    }
-
     handlePageSizeChange(event) {
-        this.pageSize = parseInt(event.target.value);
-        this.currentPage = 1;
-        this.updatePagination();
+        this.pageSize = parseInt(event.target.value, 10);
+        this.loadPage('first');
     }
 
     handlePreviousPage() {
-        if (this.hasPreviousPage) {
-            this.currentPage--;
-            this.updateDisplayedItems();
+        if (this.hasPreviousPage && this.displayedItems.length) {
+            this.loadPage('previous', this.displayedItems[0].Id, this.currentPage - 1);
         }
     }
 
     handleNextPage() {
-        if (this.hasNextPage) {
-            this.currentPage++;
-            this.updateDisplayedItems();
+        if (this.hasNextPage && this.displayedItems.length) {
+            this.loadPage('next', this.displayedItems[this.displayedItems.length - 1].Id, this.currentPage + 1);
         }
     }
 
     handleFirstPage() {
-        this.currentPage = 1;
-        this.updateDisplayedItems();
+        this.loadPage('first');
     }
 
     handleLastPage() {
-        this.currentPage = this.totalPages;
-        this.updateDisplayedItems();
+        this.loadPage('last');
     }
 
     // Process and enrich item data
@@ -153,11 +346,49 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
             isAvailable: item.Current_Status__c === 'Available',
             isCheckedOut: item.Current_Status__c === 'Checked Out',
             isOverdue: item.Current_Status__c === 'Overdue',
+            isOnHold: item.Current_Status__c === 'On Hold',
+            isInMaintenance: item.Current_Status__c === 'Maintenance',
             statusClass: this.getStatusClass(item.Current_Status__c),
-            canRenew: this.canItemBeRenewed(item)
+            canRenew: this.canItemBeRenewed(item),
+            isSelected: this.selectedLabelItems.has(item.Id),
+            ...this.getHoldInfo(item),
+            ...this.getRestrictionInfo(item)
         }));
     }
 
+    // Circulation restriction badge for an item row
+    getRestrictionInfo(item) {
+        const restriction = item.Circulation_Restriction__c || this.restrictionByCategory[item.Category__c] || '';
+        return {
+            restriction: restriction,
+            hasRestriction: !!restriction
+        };
+    }
+
+    // Hold queue details for an item row
+    getHoldInfo(item) {
+        const info = this.holdQueueByItem[item.Id];
+        const holdCount = info ? info.waitingCount : 0;
+        const myHoldPosition = info ? info.myPosition : null;
+
+        return {
+            holdCount: holdCount,
+            hasHolds: holdCount > 0,
+            holdLabel: `${holdCount} on hold`,
+            myHoldPosition: myHoldPosition,
+            myHoldLabel: myHoldPosition ? `You are #${myHoldPosition}` : '',
+            isReadyForMe: info ? info.readyForPatronId === this.currentUserId : false,
+            canPlaceHold: HOLDABLE_STATUSES.includes(item.Current_Status__c) &&
+                item.Current_Borrower__c !== this.currentUserId &&
+                !myHoldPosition
+        };
+    }
+
+    // Re-apply hold queue details without reloading the page
+    applyHoldInfo() {
+        this.displayedItems = this.displayedItems.map(item => ({ ...item, ...this.getHoldInfo(item) }));
+    }
+
     canItemBeRenewed(item) {
         if (item.Current_Status__c !== 'Checked Out' && item.Current_Status__c !== 'Overdue') {
             return false;
@@ -174,24 +405,87 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
             'Overdue': 'status-overdue',
             'Maintenance': 'status-maintenance',
             'Lost': 'status-lost',
+            'On Hold': 'status-on-hold',
+            'In Transit': 'status-in-transit',
             'Retired': 'status-retired'
         };
         return statusClasses[status] || '';
     }
 
-    // Filter options
+    // Filter options - values already selected are left out
     get itemTypeFilterOptions() {
-        const types = [{ label: 'All Types', value: '' }];
-        const uniqueTypes = [...new Set(this.allItems.map(item => item.Item_Type__c))];
-        uniqueTypes.sort().forEach(type => types.push({ label: type, value: type }));
-        return types;
+        return this.getFilterOptions('itemType', 'Add Item Type');
     }
 
     get statusFilterOptions() {
-        const statuses = [{ label: 'All Statuses', value: '' }];
-        const uniqueStatuses = [...new Set(this.allItems.map(item => item.Current_Status__c))];
-        uniqueStatuses.sort().forEach(status => statuses.push({ label: status, value: status }));
-        return statuses;
+        return this.getFilterOptions('status', 'Add Status');
+    }
+
+    get categoryFilterOptions() {
+        return this.getFilterOptions('category', 'Add Category');
+    }
+
+    get branchFilterOptions() {
+        return this.getFilterOptions('branch', 'Add Branch');
+    }
+
+    getFilterOptions(filterName, placeholder) {
+        const filter = FILTERS[filterName];
+        const selected = this[filter.selected];
+        const options = [{ label: placeholder, value: '' }];
+        (this.filterOptions[filter.options] || [])
+            .filter(option => !selected.includes(option.value))
+            .forEach(option => options.push({ label: `${option.name} (${option.itemCount})`, value: option.value }));
+        return options;
+    }
+
+    // Branches are selected by Id, so pills show the matching option's name
+    getFilterLabel(filter, value) {
+        const match = (this.filterOptions[filter.options] || []).find(option => option.value === value);
+        return match ? match.name : value;
+    }
+
+    // Selected filter values shown as removable pills
+    get filterPills() {
+        const pills = [];
+        Object.keys(FILTERS).forEach(filterName => {
+            const filter = FILTERS[filterName];
+            this[filter.selected].forEach(value => {
+                pills.push({
+                    key: `${filterName}:${value}`,
+                    label: `${filter.label}: ${this.getFilterLabel(filter, value)}`,
+                    filterName: filterName,
+                    value: value
+                });
+            });
+        });
+        if (this.checkoutDate) {
+            const [year, month, day] = this.checkoutDate.split('-').map(Number);
+            const dateLabel = new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+            pills.push({
+                key: 'checkoutDate',
+                label: `Checked Out On: ${dateLabel}`,
+                filterName: 'checkoutDate',
+                value: this.checkoutDate
+            });
+        }
+        return pills;
+    }
+
+    get hasFilterPills() {
+        return this.filterPills.length > 0;
+    }
+
+    get columns() {
+        return COLUMNS.map(column => {
+            const isSorted = column.sortKey === this.sortedBy;
+            return {
+                ...column,
+                isSorted: isSorted,
+                sortIcon: this.sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown',
+                ariaSort: isSorted ? `${this.sortDirection}ending` : 'none'
+            };
+        });
     }
 
     // Computed properties
@@ -200,48 +494,28 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
     }
 
     get totalItems() {
-        return this.allItems.length;
+        return this.filterOptions.totalCount;
     }
 
     get hasActiveFilters() {
-        return this.searchTerm || this.selectedItemType || this.selectedStatus;
-    }
-
-    get sortedByName() {
-        return this.sortedBy === 'name';
-    }
-
-    get nameSortIcon() {
-        return this.sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown';
+        return !!(this.searchTerm || this.selectedItemTypes.length || this.selectedStatuses.length ||
+            this.selectedCategories.length || this.selectedBranches.length || this.checkoutDate);
     }
 
+    // Whole-catalog counts by status, independent of the current page
     get statistics() {
-        const stats = {
-            total: this.allItems.length,
-            available: 0,
-            checkedOut: 0,
-            overdue: 0,
-            maintenance: 0
+        const countFor = status => {
+            const match = this.filterOptions.statuses.find(option => option.name === status);
+            return match ? match.itemCount : 0;
         };
 
-        this.allItems.forEach(item => {
-            switch (item.Current_Status__c) {
-                case 'Available':
-                    stats.available++;
-                    break;
-                case 'Checked Out':
-                    stats.checkedOut++;
-                    break;
-                case 'Overdue':
-                    stats.overdue++;
-                    break;
-                case 'Maintenance':
-                    stats.maintenance++;
-                    break;
-            }
-        });
-
-        return stats;
+        return {
+            total: this.filterOptions.totalCount,
+            available: countFor('Available'),
+            checkedOut: countFor('Checked Out'),
+            overdue: countFor('Overdue'),
+            maintenance: countFor('Maintenance')
+        };
     }
 
     // Event handlers
@@ -250,13 +524,35 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
         this.debounceSearch();
     }
 
-    handleItemTypeFilter(event) {
-        this.selectedItemType = event.target.value;
+    handleFilterSelect(event) {
+        const value = event.detail.value;
+        const filter = FILTERS[event.target.dataset.filter];
+        // Reset the combobox so it can be used to add another value
+        event.target.value = '';
+        if (value && !this[filter.selected].includes(value)) {
+            this[filter.selected] = [...this[filter.selected], value];
+            this.applyFilters();
+        }
+    }
+
+    handleFilterRemove(event) {
+        const { filter: filterName, value } = event.currentTarget.dataset;
+        if (filterName === 'checkoutDate') {
+            this.checkoutDate = null;
+        } else {
+            const filter = FILTERS[filterName];
+            this[filter.selected] = this[filter.selected].filter(selected => selected !== value);
+        }
         this.applyFilters();
     }
 
-    handleStatusFilter(event) {
-        this.selectedStatus = event.target.value;
+    handleClearFilters() {
+        this.searchTerm = '';
+        this.selectedItemTypes = [];
+        this.selectedStatuses = [];
+        this.selectedCategories = [];
+        this.selectedBranches = [];
+        this.checkoutDate = null;
         this.applyFilters();
     }
 
@@ -272,57 +568,22 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
         }, 300);
     }
 
+    // Filters and sort are applied on the server; start again from the first page
     applyFilters() {
-        let filtered = [...this.allItems];
-
-        // Apply search filter
-        if (this.searchTerm) {
-            const searchLower = this.searchTerm.toLowerCase();
-            filtered = filtered.filter(item => 
-                item.Item_Name__c?.toLowerCase().includes(searchLower) ||
-                item.Author_Manufacturer__c?.toLowerCase().includes(searchLower) ||
-                item.Barcode__c?.toLowerCase().includes(searchLower) ||
-                item.Category__c?.toLowerCase().includes(searchLower)
-            );
-        }
-
-        // Apply item type filter
-        if (this.selectedItemType) {
-            filtered = filtered.filter(item => item.Item_Type__c === this.selectedItemType);
-        }
-
-        // Apply status filter
-        if (this.selectedStatus) {
-            filtered = filtered.filter(item => item.Current_Status__c === this.selectedStatus);
-        }
-
-        this.filteredItems = filtered;
-        this.currentPage = 1; // Reset to first page when filters change
-        this.updatePagination();
+        this.loadPage('first');
     }
 
-    sortByName() {
-        this.sortDirection = this.sortedBy === 'name' && this.sortDirection === 'asc' ? 'desc' : 'asc';
-        this.sortedBy = 'name';
-
-        this.filteredItems.sort((a, b) => {
-            const nameA = a.Item_Name__c || '';
-            const nameB = b.Item_Name__c || '';
-            
-            if (this.sortDirection === 'asc') {
-                return nameA.localeCompare(nameB);
-            } else {
-                return nameB.localeCompare(nameA);
-            }
-        });
-        
-        this.updateDisplayedItems();
+    handleSort(event) {
+        const sortKey = event.currentTarget.dataset.sortKey;
+        this.sortDirection = this.sortedBy === sortKey && this.sortDirection === 'asc' ? 'desc' : 'asc';
+        this.sortedBy = sortKey;
+        this.loadPage('first');
     }
 
     handleItemAction(event) {
         const action = event.target.value;
         const itemId = event.target.dataset.itemId;
-        const item = this.allItems.find(i => i.Id === itemId);
+        const item = this.displayedItems.find(i => i.Id === itemId);
 
         switch (action) {
             case 'view':
@@ -340,6 +601,12 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
             case 'renew':
                 this.handleRenewItem(item);
                 break;
+            case 'hold':
+                this.handlePlaceHold(item);
+                break;
+            case 'repair':
+                this.handleCompleteRepair(item);
+                break;
         }
     }
 
@@ -372,9 +639,75 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
 
     handleReturnItem(item) {
         this.selectedItem = item;
+        this.returnAssessment = createAssessment();
         this.showReturnModal = true;
     }
 
+    handleAssessmentChange(event) {
+        this.returnAssessment = updateAssessment(this.returnAssessment, event);
+    }
+
+    async handleCompleteRepair(item) {
+        this.isProcessing = true;
+
+        try {
+            const ticket = await getOpenTicket({ itemId: item.Id });
+            if (!ticket) {
+                this.showToast('No Repair Ticket', `${item.Item_Name__c} has no open repair ticket`, 'warning');
+                return;
+            }
+
+            this.selectedItem = item;
+            this.repairTicket = ticket;
+            this.repairForm = { resolution: '', repairCost: null, condition: ticket.Reported_Condition__c || '' };
+            this.showRepairModal = true;
+        } catch (error) {
+            this.showToast('Error', 'Error loading repair ticket: ' + error.body.message, 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    handleRepairFieldChange(event) {
+        this.repairForm = { ...this.repairForm, [event.target.dataset.field]: event.detail.value };
+    }
+
+    async processCloseTicket() {
+        if (!this.repairForm.resolution || !this.repairForm.resolution.trim()) {
+            this.showToast('Error', 'Describe how the item was repaired', 'error');
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const result = await closeTicket({
+                ticketId: this.repairTicket.Id,
+                resolution: this.repairForm.resolution.trim(),
+                repairCost: this.repairForm.repairCost === '' ? null : this.repairForm.repairCost,
+                condition: this.repairForm.condition || null
+            });
+
+            if (result.isSuccess) {
+                this.showToast('Repair Completed', result.message, 'success');
+                this.closeRepairModal();
+                this.refreshData();
+            } else {
+                this.showToast('Close Failed', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', 'Error closing repair ticket: ' + error.body.message, 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    closeRepairModal() {
+        this.showRepairModal = false;
+        this.repairTicket = null;
+        this.selectedItem = null;
+    }
+
     async handleRenewItem(item) {
         if (!item.Current_Borrower__c) {
             this.showToast('Error', 'Cannot renew item without current borrower', 'error');
@@ -402,6 +735,28 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
         }
     }
 
+    async handlePlaceHold(item) {
+        this.isProcessing = true;
+
+        try {
+            const result = await placeHold({
+                itemCode: item.Barcode__c,
+                patronId: this.currentUserId
+            });
+
+            if (result.isSuccess) {
+                this.showToast('Hold Placed', result.message, 'success');
+                this.refreshData();
+            } else {
+                this.showToast('Hold Failed', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', 'Error placing hold: ' + error.body.message, 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
     async processCheckout() {
         if (!this.selectedBorrower || !this.selectedItem) {
             this.showToast('Error', 'Please select a borrower', 'error');
@@ -438,8 +793,9 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
         this.isProcessing = true;
 
         try {
-            const result = await returnItem({
-                itemCode: this.selectedItem.Barcode__c
+            const result = await returnItemWithCondition({
+                itemCode: this.selectedItem.Barcode__c,
+                assessment: toApexAssessment(this.returnAssessment)
             });
 
             if (result.isSuccess) {
@@ -476,15 +832,233 @@ export default class LibraryItemsList extends NavigationMixin(LightningElement)
         });
     }
 
-    // Refresh data
-    async refreshData() {
-        this.isLoading = true;
+    // Export the current filtered and sorted set, fetched from the server page by page
+    openExportModal() {
+        this.exportedCount = 0;
+        this.showExportModal = true;
+    }
+
+    closeExportModal() {
+        if (!this.isExporting) {
+            this.showExportModal = false;
+        }
+    }
+
+    handleExportFormatChange(event) {
+        this.exportFormat = event.detail.value;
+    }
+
+    handleExportColumnsChange(event) {
+        this.exportColumns = event.detail.value;
+    }
+
+    async handleExport() {
+        if (!this.exportColumns.length) {
+            this.showToast('Export', 'Select at least one column to export', 'warning');
+            return;
+        }
+
+        const criteria = this.catalogCriteria;
+        this.isExporting = true;
+        this.exportedCount = 0;
+
         try {
-            await refreshApex(this.wiredItemsResult);
+            const rows = await this.fetchExportPages(criteria, null, []);
+            const content = this.exportFormat === 'json'
+                ? buildJson(rows, this.exportColumns, criteria)
+                : buildCsv(rows, this.exportColumns);
+            const mimeType = this.exportFormat === 'json' ? 'application/json' : 'text/csv;charset=utf-8';
+
+            downloadFile(exportFileName(this.exportFormat), content, mimeType);
+            this.showToast('Export Complete', `${rows.length} item(s) exported`, 'success');
+            this.showExportModal = false;
         } catch (error) {
-            this.showToast('Error', 'Error refreshing data', 'error');
+            this.showToast('Export Failed', error.body?.message || error.message || 'Error exporting catalog', 'error');
         } finally {
-            this.isLoading = false;
+            this.isExporting = false;
+        }
+    }
+
+    // Follow the server cursor until the last page
+    async fetchExportPages(criteria, cursor, rows) {
+        const page = await getCatalogExportPage({
+            query: {
+                ...criteria,
+                cursorId: cursor,
+                pageSize: EXPORT_PAGE_SIZE
+            }
+        });
+
+        const collected = rows.concat(page.rows || []);
+        this.exportedCount = collected.length;
+
+        if (!page.hasMore) {
+            return collected;
+        }
+        return this.fetchExportPages(criteria, page.nextCursor, collected);
+    }
+
+    get exportFormatOptions() {
+        return EXPORT_FORMATS;
+    }
+
+    get exportColumnOptions() {
+        return EXPORT_COLUMNS.map(column => ({ label: column.label, value: column.key }));
+    }
+
+    get exportButtonLabel() {
+        return this.isExporting ? `Exporting... ${this.exportedCount}` : 'Export';
+    }
+
+    get exportSummary() {
+        const count = this.totalCount;
+        return this.hasActiveFilters
+            ? `Exports the ${count} item(s) matching the current search and filters, in the current sort order.`
+            : 'Exports the entire catalog in the current sort order.';
+    }
+
+    // Label printing for selected rows
+    handleRowSelect(event) {
+        const itemId = event.target.dataset.itemId;
+        const item = this.displayedItems.find(i => i.Id === itemId);
+        if (item) {
+            this.setItemsSelected([item], event.target.checked);
+        }
+    }
+
+    handleSelectPage(event) {
+        this.setItemsSelected(this.displayedItems, event.target.checked);
+    }
+
+    setItemsSelected(items, isSelected) {
+        items.forEach(item => {
+            if (isSelected) {
+                this.selectedLabelItems.set(item.Id, {
+                    itemName: item.Item_Name__c,
+                    barcode: item.Barcode__c,
+                    location: item.Location__c
+                });
+            } else {
+                this.selectedLabelItems.delete(item.Id);
+            }
+        });
+        this.selectedItemIds = [...this.selectedLabelItems.keys()];
+        this.displayedItems = this.displayedItems.map(item => ({
+            ...item,
+            isSelected: this.selectedLabelItems.has(item.Id)
+        }));
+    }
+
+    clearSelection() {
+        this.selectedLabelItems.clear();
+        this.setItemsSelected([], false);
+    }
+
+    get selectedCount() {
+        return this.selectedItemIds.length;
+    }
+
+    get hasSelection() {
+        return this.selectedCount > 0;
+    }
+
+    get noSelection() {
+        return !this.hasSelection;
+    }
+
+    get allOnPageSelected() {
+        return this.hasItems && this.displayedItems.every(item => item.isSelected);
+    }
+
+    get printLabelsButtonLabel() {
+        return this.hasSelection ? `Print Labels (${this.selectedCount})` : 'Print Labels';
+    }
+
+    get labelFormatOptions() {
+        return LABEL_FORMATS.map(format => ({ label: format.label, value: format.value }));
+    }
+
+    get symbologyOptions() {
+        return SYMBOLOGIES;
+    }
+
+    get returnConditionOptions() {
+        return RETURN_CONDITION_OPTIONS;
+    }
+
+    get conditionOptions() {
+        return CONDITION_OPTIONS;
+    }
+
+    get causeOptions() {
+        return CAUSE_OPTIONS;
+    }
+
+    get maxStartPosition() {
+        return labelsPerSheet(this.labelOptions.format);
+    }
+
+    get maxLabelCopies() {
+        return MAX_LABEL_COPIES;
+    }
+
+    get labelSummary() {
+        const missing = [...this.selectedLabelItems.values()].filter(item => !item.barcode).length;
+        const summary = `${this.selectedCount} item(s) selected.`;
+        return missing ? `${summary} ${missing} without a barcode will be skipped.` : summary;
+    }
+
+    openLabelModal() {
+        if (this.hasSelection) {
+            this.showLabelModal = true;
+        }
+    }
+
+    closeLabelModal() {
+        this.showLabelModal = false;
+    }
+
+    handleLabelOptionChange(event) {
+        const option = event.target.dataset.option;
+        this.labelOptions = { ...this.labelOptions, [option]: event.detail.value };
+        if (option === 'format' && this.labelOptions.startPosition > this.maxStartPosition) {
+            this.labelOptions = { ...this.labelOptions, startPosition: 1 };
+        }
+    }
+
+    handlePrintLabels() {
+        const inputs = [...this.template.querySelectorAll('.label-options lightning-input')];
+        if (!inputs.every(input => input.reportValidity())) {
+            return;
+        }
+
+        const items = [...this.selectedLabelItems.values()].filter(item => item.barcode);
+        if (!items.length) {
+            this.showToast('Print Labels', 'None of the selected items has a barcode', 'warning');
+            return;
+        }
+
+        try {
+            if (!printLabelSheet(items, this.labelOptions)) {
+                this.showToast('Pop-up Blocked', 'The label sheet was downloaded instead. Open it in your browser to print.', 'info');
+            }
+            this.showLabelModal = false;
+        } catch (error) {
+            this.showToast('Error', 'Unable to print labels: ' + error.message, 'error');
+        }
+    }
+
+    // Refresh data - reload the page on screen along with filter counts and holds
+    async refreshData() {
+        const { pageDirection, cursorId, pageNumber } = this.lastPageRequest;
+        try {
+            await Promise.all([
+                refreshApex(this.wiredFilterOptionsResult),
+                refreshApex(this.wiredHoldsResult),
+                this.loadPage(pageDirection, cursorId, pageNumber)
+            ]);
+        } catch {
+            this.showToast('Error', 'Error refreshing data', 'error');
         }
     }
 
@@ -0,0 +1,242 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getMyAccountSummary from '@salesforce/apex/BarcodeScannerController.getMyAccountSummary';
+import getBorrowingHistory from '@salesforce/apex/BorrowingRecordService.getBorrowingHistory';
+import getMyFines from '@salesforce/apex/FineService.getMyFines';
+import renewItem from '@salesforce/apex/BorrowingRecordService.renewItem';
+import Id from '@salesforce/user/Id';
+
+const HISTORY_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_SOON_DAYS = 2;
+
+export default class MyAccount extends LightningElement {
+    @track summary;
+    @track loans = [];
+    @track limits = [];
+    @track history = [];
+    @track fines = [];
+    @track isLoading = true;
+    @track error;
+    @track renewingId;
+
+    currentUserId = Id;
+    historyLimit = HISTORY_LIMIT;
+    wiredHistoryResult;
+    wiredFinesResult;
+
+    connectedCallback() {
+        this.loadSummary();
+    }
+
+    @wire(getBorrowingHistory, { borrowerId: '$currentUserId', limitCount: '$historyLimit' })
+    wiredHistory(result) {
+        this.wiredHistoryResult = result;
+        if (result.data) {
+            this.history = result.data.map(record => this.decorateHistory(record));
+        } else if (result.error) {
+            this.history = [];
+            this.showToast('Error', 'Error loading borrowing history', 'error');
+        }
+    }
+
+    @wire(getMyFines)
+    wiredFines(result) {
+        this.wiredFinesResult = result;
+        if (result.data) {
+            this.fines = result.data.map(fine => this.decorateFine(fine));
+        } else if (result.error) {
+            this.fines = [];
+            this.showToast('Error', 'Error loading your fines', 'error');
+        }
+    }
+
+    async loadSummary() {
+        try {
+            this.isLoading = true;
+            const summary = await getMyAccountSummary();
+            this.summary = summary;
+            this.loans = (summary.loans || []).map(loan => this.decorateLoan(loan));
+            this.limits = (summary.limits || []).map(loanLimit => this.decorateLimit(loanLimit));
+            this.error = undefined;
+        } catch (error) {
+            this.error = error.body?.message || 'Error loading your account';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    decorateLoan(loan) {
+        const daysLeft = this.daysUntil(loan.dueDate);
+        let countdown;
+        let countdownClass;
+
+        if (daysLeft === null) {
+            countdown = 'No due date';
+            countdownClass = 'countdown';
+        } else if (daysLeft < 0) {
+            countdown = `Overdue by ${-daysLeft} day${daysLeft === -1 ? '' : 's'}`;
+            countdownClass = 'countdown countdown_overdue';
+        } else if (daysLeft === 0) {
+            countdown = 'Due today';
+            countdownClass = 'countdown countdown_soon';
+        } else {
+            countdown = `Due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+            countdownClass = daysLeft <= DUE_SOON_DAYS ? 'countdown countdown_soon' : 'countdown';
+        }
+
+        return {
+            ...loan,
+            countdown: countdown,
+            countdownClass: countdownClass,
+            isRenewing: this.renewingId === loan.recordId,
+            disableRenew: !loan.canRenew || !!this.renewingId,
+            renewTitle: loan.canRenew ? 'Renew this item' : `${loan.itemType} items cannot be renewed`
+        };
+    }
+
+    decorateLimit(loanLimit) {
+        return {
+            ...loanLimit,
+            percentUsed: loanLimit.maxItems ? Math.min(100, Math.round((loanLimit.currentCount / loanLimit.maxItems) * 100)) : 0,
+            remainingLabel: loanLimit.atLimit ? 'Limit reached' : `${loanLimit.remaining} more allowed`,
+            remainingClass: loanLimit.atLimit ? 'slds-text-color_error' : 'slds-text-color_success'
+        };
+    }
+
+    decorateHistory(record) {
+        const item = record.Library_Item__r || {};
+        return {
+            id: record.Id,
+            itemName: item.Item_Name__c,
+            barcode: item.Barcode__c,
+            itemType: item.Item_Type__c,
+            checkoutDate: record.Checkout_Date__c,
+            dueDate: record.Due_Date__c,
+            returnDate: record.Return_Date__c,
+            status: record.Status__c,
+            statusClass: record.Status__c === 'Overdue' ? 'slds-badge slds-theme_error' :
+                (record.Status__c === 'Returned' ? 'slds-badge slds-theme_success' : 'slds-badge')
+        };
+    }
+
+    decorateFine(fine) {
+        const item = fine.Library_Item__r || {};
+        return {
+            id: fine.Id,
+            itemName: item.Item_Name__c,
+            barcode: item.Barcode__c,
+            fineType: fine.Fine_Type__c,
+            amount: fine.Amount__c,
+            assessedDate: fine.Assessed_Date__c,
+            status: fine.Status__c,
+            statusClass: fine.Status__c === 'Outstanding' ? 'slds-badge slds-theme_error' : 'slds-badge'
+        };
+    }
+
+    // Whole days from today until an Apex Date ('YYYY-MM-DD'), in the user's local time
+    daysUntil(dateValue) {
+        if (!dateValue) {
+            return null;
+        }
+        const [year, month, day] = dateValue.split('-').map(Number);
+        const due = new Date(year, month - 1, day);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return Math.round((due.getTime() - today.getTime()) / DAY_MS);
+    }
+
+    async handleRenew(event) {
+        const recordId = event.currentTarget.dataset.id;
+        const loan = this.loans.find(entry => entry.recordId === recordId);
+        if (!loan) {
+            return;
+        }
+
+        this.renewingId = recordId;
+        this.loans = this.loans.map(entry => this.decorateLoan(entry));
+
+        try {
+            const result = await renewItem({
+                itemCode: loan.barcode,
+                borrowerId: this.currentUserId
+            });
+
+            if (result.isSuccess) {
+                this.showToast('Renewed', result.message, 'success');
+            } else {
+                this.showToast('Renewal Failed', result.message, 'error');
+            }
+        } catch (error) {
+            this.showToast('Error', 'Error renewing item: ' + (error.body?.message || error.message), 'error');
+        } finally {
+            this.renewingId = undefined;
+            await this.refreshAll();
+        }
+    }
+
+    async refreshAll() {
+        await Promise.all([
+            this.loadSummary(),
+            refreshApex(this.wiredHistoryResult),
+            refreshApex(this.wiredFinesResult)
+        ]);
+    }
+
+    handleRefresh() {
+        this.refreshAll();
+    }
+
+    get hasLoans() {
+        return this.loans.length > 0;
+    }
+
+    get hasLimits() {
+        return this.limits.length > 0;
+    }
+
+    get hasFines() {
+        return this.fines.length > 0;
+    }
+
+    get hasHistory() {
+        return this.history.length > 0;
+    }
+
+    get loanCount() {
+        return this.summary ? this.summary.loanCount : 0;
+    }
+
+    get overdueCount() {
+        return this.summary ? this.summary.overdueCount : 0;
+    }
+
+    get overdueClass() {
+        return this.overdueCount > 0 ? 'slds-text-heading_large slds-text-color_error' : 'slds-text-heading_large';
+    }
+
+    get fineClass() {
+        return this.fineBalance > 0 ? 'slds-text-heading_large slds-text-color_error' : 'slds-text-heading_large';
+    }
+
+    get fineBalance() {
+        return this.summary ? this.summary.fineBalance : 0;
+    }
+
+    get totalQuotaLabel() {
+        if (!this.summary || !this.summary.maxTotalItems) {
+            return null;
+        }
+        const remaining = Math.max(this.summary.maxTotalItems - this.summary.loanCount, 0);
+        return `${remaining} of ${this.summary.maxTotalItems} total loans remaining`;
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant
+        }));
+    }
+}
@@ -0,0 +1,152 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import searchPatrons from '@salesforce/apex/BarcodeScannerController.searchPatrons';
+import getAvailableItemTypes from '@salesforce/apex/LibraryConfigService.getAvailableItemTypes';
+import simulatePolicy from '@salesforce/apex/PolicySimulatorService.simulatePolicy';
+
+const SETTING_LABELS = {
+    loanDays: 'Loan Days',
+    maxItems: 'Max Items',
+    allowRenewal: 'Allow Renewal',
+    renewalDays: 'Renewal Days'
+};
+
+const STATUS_CLASSES = {
+    Applied: 'slds-badge slds-theme_success',
+    Skipped: 'slds-badge',
+    'Not checked': 'slds-badge slds-badge_lightest'
+};
+
+export default class PolicySimulator extends LightningElement {
+    @track searchTerm = '';
+    @track userMatches = [];
+    @track selectedUser = null; // { Id, Name, Email }
+    @track itemType = 'Book';
+    @track simulation;
+    @track isLoading = false;
+
+    defaultItemTypes = [];
+
+    @wire(getAvailableItemTypes)
+    wiredItemTypes({ data }) {
+        if (data) {
+            this.defaultItemTypes = data;
+        }
+    }
+
+    // Item types from the current user's configuration plus any the simulated user's configuration adds
+    get itemTypeOptions() {
+        const configured = this.simulation ? this.simulation.configuredItemTypes : [];
+        const itemTypes = new Set([...this.defaultItemTypes, ...configured]);
+        if (this.itemType) {
+            itemTypes.add(this.itemType);
+        }
+        return [...itemTypes].sort().map(itemType => ({ label: itemType, value: itemType }));
+    }
+
+    get hasUserMatches() {
+        return this.userMatches.length > 0;
+    }
+
+    get canSimulate() {
+        return !!this.selectedUser && !!this.itemType && !this.isLoading;
+    }
+
+    get levelRows() {
+        return this.simulation.levels.map(check => ({
+            ...check,
+            statusClass: STATUS_CLASSES[check.status],
+            hasConfiguration: !!check.developerName
+        }));
+    }
+
+    get valueRows() {
+        return this.simulation.values.map(value => ({
+            ...value,
+            label: SETTING_LABELS[value.setting] || value.setting,
+            displayValue: this.formatValue(value),
+            source: value.configurationLabel ? `${value.configurationLabel} (${value.level})` : value.level
+        }));
+    }
+
+    formatValue(value) {
+        if (value.value === null || value.value === undefined) {
+            return value.setting === 'maxItems' ? 'No limit' : 'Not set';
+        }
+        if (typeof value.value === 'boolean') {
+            return value.value ? 'Yes' : 'No';
+        }
+        return String(value.value);
+    }
+
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+    }
+
+    handleSearchKeyUp(event) {
+        if (event.key === 'Enter') {
+            this.handleSearch();
+        }
+    }
+
+    async handleSearch() {
+        if (!this.searchTerm || !this.searchTerm.trim()) {
+            return;
+        }
+        try {
+            const matches = await searchPatrons({ searchTerm: this.searchTerm });
+            if (matches.length === 1) {
+                this.selectUser(matches[0]);
+            } else if (matches.length === 0) {
+                this.userMatches = [];
+                this.showToast('No User Found', `No user matches "${this.searchTerm}"`, 'warning');
+            } else {
+                this.userMatches = matches;
+            }
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'User lookup failed', 'error');
+        }
+    }
+
+    handleSelectUser(event) {
+        const user = this.userMatches.find(match => match.Id === event.currentTarget.dataset.id);
+        if (user) {
+            this.selectUser(user);
+        }
+    }
+
+    selectUser(user) {
+        this.selectedUser = user;
+        this.userMatches = [];
+        this.simulate();
+    }
+
+    handleClearUser() {
+        this.selectedUser = null;
+        this.simulation = undefined;
+    }
+
+    handleItemTypeChange(event) {
+        this.itemType = event.detail.value;
+        this.simulate();
+    }
+
+    async simulate() {
+        if (!this.canSimulate) {
+            return;
+        }
+        try {
+            this.isLoading = true;
+            this.simulation = await simulatePolicy({ userId: this.selectedUser.Id, itemType: this.itemType });
+        } catch (error) {
+            this.simulation = undefined;
+            this.showToast('Error', error.body?.message || 'Could not simulate the policy', 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}